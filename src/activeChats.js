@@ -0,0 +1,46 @@
+'use strict';
+
+const { getChatKey } = require('./photoMessages');
+
+// --- Active Chats ---
+// Bookkeeping of the chats the bot is in, keyed by userId, groupId or roomId
+// and persisted in a JSON file store. Each entry:
+//   type:     'user', 'group' or 'room'
+//   active:   false once the bot was blocked (unfollow) or removed (leave)
+//   since:    ISO 8601 time the bot was added, or first saw the chat
+//   leftAt:   ISO 8601 time the bot was blocked or removed, when inactive
+// Chats from before this bookkeeping existed are recorded on their first message.
+
+function createActiveChats({ store, now = Date.now }) {
+    function isoNow() {
+        return new Date(now()).toISOString();
+    }
+
+    // Follow or join
+    async function added(source) {
+        await store.set(getChatKey(source), { type: source.type, active: true, since: isoNow() });
+    }
+
+    // Unfollow or leave; keeps the entry so the history stays available
+    async function removed(source) {
+        const chatKey = getChatKey(source);
+        const entry = store.get(chatKey) || { type: source.type, since: null };
+        await store.set(chatKey, { ...entry, active: false, leftAt: isoNow() });
+    }
+
+    // A message from the chat; only writes for chats not seen before
+    async function seen(source) {
+        if (store.get(getChatKey(source))) return;
+        await added(source);
+    }
+
+    function list({ active } = {}) {
+        return store.entries()
+            .map(([chatKey, entry]) => ({ chatKey, ...entry }))
+            .filter(entry => active === undefined || entry.active === active);
+    }
+
+    return { added, removed, seen, list };
+}
+
+module.exports = { createActiveChats };
@@ -0,0 +1,134 @@
+'use strict';
+
+const crypto = require('crypto');
+const express = require('express');
+const { reportToCsv } = require('./searchAnalytics');
+const { logger } = require('./logger');
+
+// --- Admin API ---
+// JSON routes for managing quotes and tag rules at runtime, and the tag
+// search report. Every request must send "Authorization: Bearer <ADMIN_API_TOKEN>".
+//
+//   GET    /quotes                list quotes and the style example options
+//   POST   /quotes                add { text, styleExample? }
+//   PUT    /quotes/:id            edit { text?, styleExample? }
+//   DELETE /quotes/:id            delete a quote (ids are list positions)
+//   POST   /quotes/reload         re-read the quotes file
+//   GET    /quotes/style          style example options
+//   PUT    /quotes/style          set { mode?, maxChars? }
+//   GET    /tag-rules             list tag rules
+//   PUT    /tag-rules             replace all rules with the posted array
+//   PUT    /tag-rules/:name       add or replace one rule
+//   DELETE /tag-rules/:name       delete one rule
+//   POST   /tag-rules/reload      re-read the tag rules file
+//   GET    /reports/searches      top missed tags, expanded-keyword hits and per-chat
+//                                 usage; ?from=&to= (YYYY-MM-DD, default the last 30
+//                                 days) and ?limit= (rows per list, default 20)
+//   GET    /reports/searches/:section.csv
+//                                 one list as CSV: misses, expanded-hits or chats
+
+function digest(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+// Constant-time bearer token check
+function createTokenAuth(token) {
+    const expected = digest(token);
+    return (req, res, next) => {
+        const header = req.get('authorization') || '';
+        const match = header.match(/^Bearer\s+(.+)$/i);
+        if (!match || !crypto.timingSafeEqual(digest(match[1].trim()), expected)) {
+            logger.warn('Rejected admin request: missing or invalid token', { method: req.method, path: req.originalUrl });
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        return next();
+    };
+}
+
+function createAdminRouter({ token, quoteStore, tagRules, searchAnalytics }) {
+    const router = express.Router();
+    router.use(createTokenAuth(token));
+    router.use(express.json({ limit: '1mb' }));
+
+    function quoteId(req) {
+        return /^\d+$/.test(req.params.id) ? Number(req.params.id) : -1;
+    }
+
+    router.get('/quotes', (req, res) => {
+        res.json({ quotes: quoteStore.list(), style: quoteStore.getStyleOptions() });
+    });
+    router.post('/quotes', async (req, res) => {
+        const quote = await quoteStore.add(req.body || {});
+        logger.info('Admin added quote', { quoteId: quote.id });
+        res.status(201).json(quote);
+    });
+    router.post('/quotes/reload', (req, res) => {
+        res.json({ count: quoteStore.reload() });
+    });
+    router.get('/quotes/style', (req, res) => {
+        res.json(quoteStore.getStyleOptions());
+    });
+    router.put('/quotes/style', async (req, res) => {
+        res.json(await quoteStore.setStyleOptions(req.body || {}));
+    });
+    router.put('/quotes/:id', async (req, res) => {
+        const quote = await quoteStore.update(quoteId(req), req.body || {});
+        logger.info('Admin updated quote', { quoteId: quote.id });
+        res.json(quote);
+    });
+    router.delete('/quotes/:id', async (req, res) => {
+        const quote = await quoteStore.remove(quoteId(req));
+        logger.info('Admin deleted quote', { quoteId: quote.id });
+        res.json(quote);
+    });
+
+    router.get('/tag-rules', (req, res) => {
+        res.json(tagRules.list());
+    });
+    router.put('/tag-rules', async (req, res) => {
+        res.json(await tagRules.replaceAll(req.body));
+    });
+    router.post('/tag-rules/reload', (req, res) => {
+        res.json({ count: tagRules.reload().length });
+    });
+    router.put('/tag-rules/:name', async (req, res) => {
+        res.json(await tagRules.upsert({ ...req.body, name: req.params.name }));
+    });
+    router.delete('/tag-rules/:name', async (req, res) => {
+        if (!(await tagRules.remove(req.params.name))) {
+            return res.status(404).json({ error: `Tag rule "${req.params.name}" not found.` });
+        }
+        return res.status(204).end();
+    });
+
+    function reportOptions(req) {
+        const limit = parseInt(req.query.limit, 10);
+        return { from: req.query.from, to: req.query.to, limit: limit > 0 ? limit : 20 };
+    }
+
+    router.get('/reports/searches', (req, res) => {
+        res.json(searchAnalytics.report(reportOptions(req)));
+    });
+    router.get('/reports/searches/:section.csv', (req, res) => {
+        const report = searchAnalytics.report(reportOptions(req));
+        const csv = reportToCsv(report, req.params.section);
+        res.attachment(`searches-${req.params.section}-${report.from}-${report.to}.csv`);
+        res.type('text/csv; charset=utf-8').send(csv);
+    });
+
+    router.use(handleAdminError);
+    return router;
+}
+
+// Errors from the stores and the JSON body parser carry an HTTP status;
+// anything else is a 500. Also mount it after the router so body parse
+// errors from app-level parsers are answered in JSON.
+function handleAdminError(err, req, res, next) {
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) {
+        logger.error('Admin request failed', { method: req.method, path: req.originalUrl, error: err });
+    }
+    res.status(status).json({ error: err.message });
+}
+
+module.exports = { createAdminRouter, handleAdminError };
@@ -0,0 +1,570 @@
+'use strict';
+
+const express = require('express');
+const bodyParser = require('body-parser');
+const line = require('@line/bot-sdk');
+const fs = require('fs');
+const crypto = require('crypto');
+const { createCommandRegistry } = require('./commandRegistry');
+const { registerCoreCommands } = require('./commands');
+const { createPhotoRepository } = require('./photoRepository');
+const { createPhotoIndex } = require('./photoIndex');
+const { createRecentPicker } = require('./recentPicker');
+const { getChatKey, describeSource, createTextMessage } = require('./photoMessages');
+const { createMemoryConversationStore, createFileConversationStore } = require('./conversationStore');
+const { createConversationMemory } = require('./conversationMemory');
+const { createLlmProvider } = require('./llm');
+const { createQuotaGuardedProvider } = require('./llm/quotaGuard');
+const { createTimedProvider } = require('./llm/timing');
+const { createRateLimiter, createMemoryCounterStore } = require('./rateLimiter');
+const { createPromptLibrary } = require('./promptLibrary');
+const { createTagRules } = require('./tagRules');
+const { createHanResponder } = require('./hanResponder');
+const { createModerator } = require('./moderation');
+const { createJsonFileStore } = require('./jsonFileStore');
+const { createQuoteStore } = require('./quoteStore');
+const { createQuoteRanker } = require('./quoteRanker');
+const { createAdminRouter, handleAdminError } = require('./adminApi');
+const { createSearchAnalytics } = require('./searchAnalytics');
+const { createGroupSettings } = require('./groupSettings');
+const { extractSelfMention } = require('./mentions');
+const { createContentDownloader } = require('./lineContent');
+const { logger } = require('./logger');
+const { metrics: sharedMetrics } = require('./metrics');
+const { createHealthRouter } = require('./health');
+const { createSubscriptions } = require('./subscriptions');
+const { createSubscriptionScheduler } = require('./subscriptionScheduler');
+const { createDailyPush } = require('./dailyPush');
+const { createWelcomeMessages } = require('./welcome');
+const { createActiveChats } = require('./activeChats');
+const { createReplyDelivery } = require('./replyDelivery');
+const { createEventQueue } = require('./eventQueue');
+const { createMemeRenderer, createMemeRouter } = require('./memeRenderer');
+
+const DEFAULT_FALLBACK_QUOTE = '莫忘世上苦人多';
+const NEAR_BEST_QUOTE = 0.8; // Quotes scoring this share of the best are equally relevant
+const LIFECYCLE_EVENTS = ['follow', 'unfollow', 'join', 'leave', 'memberJoined'];
+
+// --- Bot ---
+// Builds one bot - its state, the webhook event handler and its routes - from
+// a config (see loadConfig in ./config). Bots share nothing but the logger
+// and the metrics registry. The LINE clients, the LLM provider and the HTTP
+// client used for the photo API and meme photos can be injected; by default
+// they are created from the config. Nothing here exits the process or listens
+// on a port, so bots can be constructed in tests.
+function createBot(config, {
+    client = new line.Client(config.line),
+    messagingClient = new line.messagingApi.MessagingApiClient({ channelAccessToken: config.line.channelAccessToken }),
+    llm: baseLlm = createLlmProvider(config.llm),
+    httpClient,
+} = {}) {
+    // Every series this bot records carries its id
+    const metrics = sharedMetrics.withLabels({ bot: config.bot.id });
+
+    // --- Rate Limits ---
+    // Counters for per-user/per-group budgets and the global daily LLM quota
+    const rateLimitStore = createMemoryCounterStore();
+    const rateLimiter = createRateLimiter({
+        store: rateLimitStore,
+        windowMs: config.rateLimits.windowMs,
+        limits: { cheap: config.rateLimits.cheap, expensive: config.rateLimits.expensive },
+    });
+    const llm = createQuotaGuardedProvider(createTimedProvider(baseLlm, { metrics }), {
+        dailyLimit: config.llm.dailyQuota,
+        store: rateLimitStore,
+        timeZone: config.llm.quotaTimeZone,
+    });
+
+    if (llm.enabled) {
+        logger.info('Using LLM provider', { provider: llm.name, model: llm.model });
+    } else {
+        logger.warn('No LLM provider configured: running without Gemini, fixed fallback replies will be used.');
+    }
+
+    // --- Korean Yu Quotes ---
+    // quotes.json can be edited at runtime through the admin API
+    const quoteStore = createQuoteStore({
+        filePath: config.quotes.filePath,
+        defaultQuote: DEFAULT_FALLBACK_QUOTE,
+        styleOptions: { mode: config.quotes.styleMode, maxChars: config.quotes.styleMaxChars },
+        settingsStore: createJsonFileStore({ filePath: config.quotes.settingsFile, label: 'quote settings' }),
+    });
+
+    // Photos and quotes avoid repeating per chat
+    const quotePicker = createRecentPicker({ mode: config.pickerMode });
+    const photoPicker = createRecentPicker({ mode: config.pickerMode });
+
+    // Get a random quote, cycling through quotes.json per chat
+    function getRandomQuote(chatKey) {
+        return quotePicker.pick(chatKey, quoteStore.texts());
+    }
+
+    // Quotes ranked by relevance to a topic or message
+    const quoteRanker = createQuoteRanker({ getTexts: quoteStore.texts, llm, embeddings: config.quotes.embeddings });
+
+    // Pick among the quotes scoring close to the best, so "再一句" can move on
+    function pickRelevantQuote(chatKey, ranked) {
+        const best = ranked.filter(result => result.score >= ranked[0].score * NEAR_BEST_QUOTE);
+        return quotePicker.pick(chatKey, best.map(result => result.text));
+    }
+
+    // Get a quote relevant to the topic (local ranking), or a random one if none is
+    function getMatchingQuote(topic, chatKey) {
+        const ranked = topic ? quoteRanker.rankLocal(topic) : [];
+        return ranked.length > 0 ? pickRelevantQuote(chatKey, ranked) : getRandomQuote(chatKey);
+    }
+
+    // Get the quote most relevant to the topic, using embeddings when
+    // available, or null when no quote is relevant
+    async function findQuote(topic, chatKey) {
+        const ranked = await quoteRanker.rank(topic, { limit: config.quotes.styleTopK });
+        return ranked.length > 0 ? pickRelevantQuote(chatKey, ranked) : null;
+    }
+
+    // The quotes string for generation prompts; in "relevant" mode the quotes
+    // most relevant to `topic` (see quoteStore)
+    async function getQuotesString(topic) {
+        if (!topic || quoteStore.getStyleOptions().mode !== 'relevant') {
+            return quoteStore.getStyleExamples();
+        }
+        const ranked = await quoteRanker.rank(topic, { limit: config.quotes.styleTopK });
+        return quoteStore.getStyleExamples({ relevant: ranked.map(result => result.text) });
+    }
+
+    // --- Photo Repository ---
+    const photoRepository = createPhotoRepository({
+        apiUrl: config.photos.apiUrl,
+        timeoutMs: config.photos.timeoutMs,
+        retries: config.photos.retries,
+        cacheTtlMs: config.photos.cacheTtlMs,
+        metrics,
+        ...(httpClient && { httpClient }),
+    });
+    // Searches go through the local index first; the caller starts its sync
+    const photoIndex = createPhotoIndex({
+        repository: photoRepository,
+        synonymsFile: config.photos.index.synonymsFile,
+        syncIntervalMs: config.photos.index.syncIntervalMs,
+        minScore: config.photos.index.minScore,
+        metrics,
+    });
+
+    // --- Conversation Memory (one-on-one chats) ---
+    const conversationMemory = createConversationMemory({
+        store: config.conversation.store === 'file'
+            ? createFileConversationStore({ filePath: config.conversation.filePath })
+            : createMemoryConversationStore(),
+        maxTurns: config.conversation.maxTurns,
+        maxAgeMs: config.conversation.maxAgeMs,
+    });
+
+    // --- Prompt Templates ---
+    // Edited prompt files are picked up without a restart
+    const prompts = createPromptLibrary({
+        dir: config.promptsDir,
+        defaults: { persona: config.persona.prompt, personaName: config.persona.name },
+    });
+
+    // --- Tag Rules ---
+    // Extra messages (campaign text, images, links, quick replies) appended to photo replies for specific tags
+    const tagRules = createTagRules({ filePath: config.tagRulesFile });
+
+    // --- Moderation ---
+    // Blocklists, length limits and prompt-injection patterns for LLM replies
+    const moderator = createModerator({ filePath: config.moderationFile });
+
+    // --- Group Settings ---
+    // Per-group/room settings changed with "院長，設定"
+    const groupSettings = createGroupSettings({
+        store: createJsonFileStore({ filePath: config.groupSettingsFile, label: 'group settings' }),
+    });
+
+    // --- Subscriptions ---
+    // Daily quote/photo pushes; the scheduler is started by the caller
+    const subscriptions = createSubscriptions({
+        store: createJsonFileStore({ filePath: config.subscriptions.filePath, label: 'subscriptions' }),
+    });
+    const dailyPush = createDailyPush({
+        client,
+        photoRepository: photoIndex,
+        photoPicker,
+        photoBaseUrl: config.photos.baseUrl,
+        getRandomQuote,
+    });
+    const scheduler = createSubscriptionScheduler({
+        subscriptions,
+        deliver: dailyPush.deliver,
+        intervalMs: config.subscriptions.checkIntervalMs,
+        maxAttempts: config.subscriptions.maxAttempts,
+        retryDelayMs: config.subscriptions.retryDelayMs,
+    });
+
+    // --- Welcome Messages and Active Chats ---
+    // Greetings for follow, join and memberJoined events, and bookkeeping of
+    // the chats the bot is in
+    const welcomeMessages = createWelcomeMessages({
+        filePath: config.welcomeFile,
+        llm,
+        prompts,
+        moderator,
+        getQuotesString,
+        prefix: config.bot.prefix,
+    });
+    const activeChats = createActiveChats({
+        store: createJsonFileStore({ filePath: config.activeChatsFile, label: 'active chats' }),
+    });
+
+    // --- Reply Delivery ---
+    // Replies fall back to push messages once the reply token has expired
+    const replyDelivery = createReplyDelivery({
+        client,
+        messagingClient,
+        replyTokenTtlMs: config.delivery.replyTokenTtlMs,
+        loadingSeconds: config.delivery.loadingSeconds,
+        metrics,
+    });
+
+    // --- Memes ---
+    // "院長，梗圖" needs a public URL to serve the rendered images from; the
+    // caller starts the cache cleanup
+    const memeRenderer = createMemeRenderer({
+        cacheDir: config.memes.cacheDir,
+        photoBaseUrl: config.photos.baseUrl,
+        style: config.memes.style,
+        retentionMs: config.memes.retentionMs,
+        metrics,
+        ...(httpClient && { httpClient }),
+    });
+
+    // --- Search Analytics ---
+    // Tag searches for the admin search report
+    const searchAnalytics = createSearchAnalytics({
+        filePath: config.searchAnalytics.filePath,
+        retentionDays: config.searchAnalytics.retentionDays,
+        timeZone: config.searchAnalytics.timeZone,
+    });
+
+    // --- Sticker Keywords ---
+    // Maps LINE sticker keywords (lower-case) to photo search tags
+    let stickerKeywords = {};
+    try {
+        if (fs.existsSync(config.stickerKeywordsFile)) {
+            stickerKeywords = JSON.parse(fs.readFileSync(config.stickerKeywordsFile, 'utf8'));
+            logger.info('Loaded sticker keyword mappings', { count: Object.keys(stickerKeywords).length });
+        }
+    } catch (err) {
+        logger.error('Error reading or parsing sticker keywords', { error: err });
+    }
+
+    // --- Commands ---
+    // Triggers and fixed replies are built with the bot's prefix (see persona.js)
+    const throttleReply = `${config.bot.prefix}今天講太多話了，先喝口水休息一下，等一下再來找我啦！`;
+    const commandRegistry = registerCoreCommands(createCommandRegistry(), {
+        llm,
+        prompts,
+        photoRepository: photoIndex,
+        photoPicker,
+        photoBaseUrl: config.photos.baseUrl,
+        getRandomQuote,
+        getMatchingQuote,
+        findQuote,
+        getQuotesString,
+        conversationMemory,
+        hanResponder: createHanResponder({
+            llm,
+            prompts,
+            getQuotesString,
+            conversationMemory,
+            moderator,
+            getMatchingQuote,
+        }),
+        moderator,
+        tagRules,
+        searchAnalytics,
+        groupSettings,
+        adminUserIds: config.adminUserIds,
+        subscriptions,
+        subscriptionDefaults: config.subscriptions.defaults,
+        welcomeMessages,
+        client,
+        contentDownloader: createContentDownloader({ client, maxBytes: config.maxImageBytes }),
+        stickerKeywords,
+        photoReplyMode: config.photos.replyMode,
+        flexMaxPhotos: config.photos.flexMaxPhotos,
+        memeRenderer: config.memes.publicBaseUrl ? memeRenderer : null,
+        memeBaseUrl: config.memes.publicBaseUrl && config.memes.publicBaseUrl + config.bot.basePath,
+        persona: config.persona,
+        prefix: config.bot.prefix,
+    });
+
+    // Run a matched command with the context every handler receives
+    async function runCommand(event, matched, text) {
+        const chatKey = getChatKey(event.source);
+        // Settings only apply to groups and rooms; one-on-one chats use the defaults
+        const settings = groupSettings.get(event.source.type === 'user' ? null : chatKey);
+        const cost = matched.command.cost || 'cheap';
+
+        metrics.commands.inc({ command: matched.command.name });
+        logger.annotate({ command: matched.command.name });
+        logger.info('Running command', { command: matched.command.name, text });
+        const exempt = typeof matched.command.exemptFromRateLimit === 'function'
+            ? matched.command.exemptFromRateLimit({ event, match: matched.match || null })
+            : Boolean(matched.command.exemptFromRateLimit);
+        const limitsGroupReplies = !exempt && event.source.type !== 'user';
+        if (!exempt) {
+            const budget = await rateLimiter.consume(event.source, cost);
+            if (!budget.allowed) {
+                logger.info('Rate limit reached, ignoring command', { cost });
+                logger.setResolution('rate-limited');
+                // Only the first rejected message in a window gets the throttle reply
+                return budget.firstRejection ? replyDelivery.reply(event, createTextMessage(throttleReply)) : null;
+            }
+            if (limitsGroupReplies && !groupSettings.hasReplyBudget(chatKey, settings.repliesPerMinute)) {
+                logger.info('Group reply limit reached, ignoring command', { repliesPerMinute: settings.repliesPerMinute });
+                logger.setResolution('rate-limited');
+                return null;
+            }
+        }
+
+        // Only replies actually sent count against the group's reply limit;
+        // it is checked again in case other replies used it up meanwhile
+        const reply = (messages) => {
+            if (limitsGroupReplies && !groupSettings.tryConsumeReply(chatKey, settings.repliesPerMinute)) {
+                logger.info('Group reply limit reached, not replying', { repliesPerMinute: settings.repliesPerMinute });
+                logger.setResolution('rate-limited');
+                return null;
+            }
+            return replyDelivery.reply(event, messages);
+        };
+
+        // Expensive commands may wait on the LLM; not awaited, the animation is cosmetic
+        if (cost === 'expensive' && llm.enabled) {
+            replyDelivery.showLoading(event.source);
+        }
+
+        return matched.command.handler({
+            event,
+            text,
+            chatKey,
+            settings,
+            args: matched.args,
+            match: matched.match || null,
+            params: matched.params || null,
+            reply,
+        });
+    }
+
+    // Event handler: routes the event inside a log context carrying a correlation
+    // id, then logs one summary line with the command, the resolution path and
+    // the time spent in photo API and LLM calls
+    function handleEvent(event) {
+        const correlationId = event.webhookEventId || crypto.randomUUID();
+        const source = event.source ? describeSource(event.source) : 'unknown';
+        metrics.events.inc({ type: event.type });
+        return logger.withContext({ correlationId, bot: config.bot.id, eventType: event.type, source }, async () => {
+            const startedAt = Date.now();
+            try {
+                const result = await routeEvent(event);
+                const summary = logger.getSummary();
+                const resolution = summary.resolution || summary.command || 'ignored';
+                metrics.resolutions.inc({ resolution });
+                if (summary.command) {
+                    metrics.replyLatency.observe({ command: summary.command }, (Date.now() - startedAt) / 1000);
+                }
+                logger.info('Event handled', { ...summary, resolution, durationMs: Date.now() - startedAt });
+                return result;
+            } catch (err) {
+                metrics.resolutions.inc({ resolution: 'failed' });
+                logger.error('Event failed', { ...logger.getSummary(), durationMs: Date.now() - startedAt, error: err });
+                throw err;
+            }
+        });
+    }
+
+    // Follow/unfollow, join/leave and memberJoined: keep the active chat list
+    // and subscriptions up to date, then run the welcome command, if any.
+    // Subscriptions are dropped so a bot that was blocked or removed stops
+    // pushing and one added back starts fresh.
+    async function handleLifecycleEvent(event) {
+        if (event.type === 'follow' || event.type === 'join') {
+            await activeChats.added(event.source);
+        } else if (event.type === 'unfollow' || event.type === 'leave') {
+            await activeChats.removed(event.source);
+            logger.info('Bot was removed from chat');
+        } else {
+            await activeChats.seen(event.source);
+        }
+        if (event.type !== 'memberJoined' && await subscriptions.unsubscribe(getChatKey(event.source))) {
+            logger.info('Removed subscription after membership change');
+            logger.setResolution('subscription-removed');
+        }
+        const matched = commandRegistry.matchEvent(event.type, event.source.type);
+        return matched ? runCommand(event, matched, '') : null;
+    }
+
+    // Dispatch an event to the matching command
+    async function routeEvent(event) {
+        if (LIFECYCLE_EVENTS.includes(event.type)) {
+            return handleLifecycleEvent(event);
+        }
+        // Handle text, image and sticker messages and postbacks (e.g. "再來一張" buttons); ignore everything else
+        const isSupportedMessage = event.type === 'message' && ['text', 'image', 'sticker'].includes(event.message.type);
+        if (!isSupportedMessage && event.type !== 'postback') {
+            return null;
+        }
+        // Allow messages from users, groups, and rooms, but log unknown types
+        if (!['user', 'group', 'room'].includes(event.source.type)) {
+            logger.info('Ignoring event from unsupported source type', { sourceType: event.source.type });
+            return null;
+        }
+        await activeChats.seen(event.source);
+
+        if (event.type === 'postback') {
+            const matchedPostback = commandRegistry.matchPostback(event.postback.data, event.source.type);
+            if (!matchedPostback) {
+                logger.info('Ignoring unhandled postback', { postbackData: event.postback.data });
+                return null;
+            }
+            return runCommand(event, matchedPostback, '');
+        }
+
+        const messageType = event.message.type;
+        if (messageType !== 'text') {
+            const matchedMedia = commandRegistry.match('', { sourceType: event.source.type, messageType });
+            if (!matchedMedia) {
+                logger.info('Ignoring unhandled message type', { messageType });
+                return null;
+            }
+            return runCommand(event, matchedMedia, '');
+        }
+
+        // An @-mention of the bot is stripped so "@院長 院長好" still runs the command
+        const mention = extractSelfMention(event.message, config.line.botUserId);
+        const messageText = mention.text.trim();
+        const matched = commandRegistry.match(messageText, { sourceType: event.source.type, mentioned: mention.mentioned });
+
+        if (!matched) {
+            // Only one-on-one chats have a catch-all command; do nothing for unmatched group/room text
+            logger.info('Ignoring unmatched text', { text: messageText });
+            return null;
+        }
+
+        return runCommand(event, matched, messageText);
+    }
+
+    // Webhook events are handled in the background, once per webhookEventId
+    const eventQueue = createEventQueue({ handleEvent, dedupeTtlMs: config.delivery.dedupeTtlMs, metrics });
+
+    // --- Routes ---
+    // The bot's webhook, meme images and admin API; createHostApp mounts them
+    // next to the other bots' routes and the shared health routes.
+    const router = express.Router();
+    const basePath = config.bot.basePath;
+
+    // line.middleware verifies the signature against the raw body. LINE only
+    // waits a few seconds for the response, so it is sent before the events run.
+    router.post(config.bot.webhookPath,
+        bodyParser.raw({ type: '*/*' }),
+        line.middleware({ channelSecret: config.line.channelSecret }),
+        (req, res) => {
+            eventQueue.enqueue(req.body.events);
+            res.json({});
+        }
+    );
+
+    // --- Meme Images ---
+    router.use(basePath || '/', createMemeRouter({ renderer: memeRenderer }));
+    if (!config.memes.publicBaseUrl) {
+        logger.info('PUBLIC_BASE_URL not set, memes are disabled.', { bot: config.bot.id });
+    }
+
+    // --- Admin API ---
+    // Quote and tag rule management and the search report under <basePath>/admin,
+    // enabled when an admin token is configured
+    if (config.adminApiToken) {
+        router.use(`${basePath}/admin`, createAdminRouter({ token: config.adminApiToken, quoteStore, tagRules, searchAnalytics }), handleAdminError);
+        logger.info(`Admin API enabled at ${basePath}/admin.`, { bot: config.bot.id });
+    } else {
+        logger.info('ADMIN_API_TOKEN not set, admin API is disabled.', { bot: config.bot.id });
+    }
+
+    // Background work: daily pushes, the photo index sync and meme cleanup
+    function start() {
+        scheduler.start();
+        photoIndex.start();
+        memeRenderer.start();
+    }
+
+    function stop() {
+        scheduler.stop();
+        photoIndex.stop();
+        memeRenderer.stop();
+    }
+
+    return {
+        id: config.bot.id,
+        config,
+        router,
+        start,
+        stop,
+        handleEvent,
+        eventQueue,
+        client,
+        llm,
+        commandRegistry,
+        photoRepository,
+        photoIndex,
+        quoteStore,
+        quoteRanker,
+        tagRules,
+        groupSettings,
+        subscriptions,
+        scheduler,
+        welcomeMessages,
+        activeChats,
+        memeRenderer,
+        searchAnalytics,
+    };
+}
+
+// --- Host App ---
+// One Express app serving every bot in `configs` (see loadBotConfigs in
+// ./config): each bot's routes, plus health and metrics routes shared by all.
+// `depsFor(config)` returns the clients to inject into that bot (see createBot).
+function createHostApp(configs, { depsFor = () => ({}) } = {}) {
+    const bots = configs.map(config => createBot(config, depsFor(config)));
+    const app = express();
+
+    // Allow raw body for LINE signature verification
+    app.use(express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        },
+    }));
+
+    bots.forEach(bot => app.use(bot.router));
+
+    // Add express.json() after the webhooks so other APIs use JSON parsing
+    app.use(express.json());
+
+    // --- Health and Metrics ---
+    app.use(createHealthRouter({
+        bots: bots.map(bot => ({
+            id: bot.id,
+            photoRepository: bot.photoRepository,
+            llm: bot.llm,
+            requireLlm: bot.config.readyRequireLlm,
+        })),
+        registry: sharedMetrics.registry,
+    }));
+
+    return { app, bots };
+}
+
+// A host app with a single bot; the bot's parts are returned next to `app`
+function createApp(config, deps) {
+    const { app, bots: [bot] } = createHostApp([config], { depsFor: () => deps });
+    return { app, ...bot };
+}
+
+module.exports = { createApp, createHostApp, createBot };
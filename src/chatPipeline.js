@@ -0,0 +1,163 @@
+'use strict';
+
+const {
+    isValidPhotoPath,
+    createImageMessage,
+    createTextMessage,
+} = require('./photoMessages');
+const { createQuickReplyItems, attachQuickReply } = require('./quickReplies');
+const { DEFAULT_PREFIX } = require('./persona');
+const { logger } = require('./logger');
+
+// --- Chat Pipeline ---
+// The one-on-one reply pipeline: direct tag search, then Gemini keyword
+// extraction and photo search, then a Gemini-generated Han-style reply, then
+// a fixed fallback. Shared by free text, image and sticker messages.
+function createChatPipeline({ llm, prompts, moderator, photoRepository, photoPicker, photoBaseUrl, hanResponder, persona, prefix = DEFAULT_PREFIX }) {
+    const quickReplyItems = createQuickReplyItems(prefix);
+
+    // 1. Try searching using the exact message text as a tag
+    async function searchDirect(chatKey, messageText) {
+        logger.info('Attempting direct tag search', { text: messageText });
+        let photos = [];
+        try {
+            photos = await photoRepository.search(messageText);
+        } catch (directSearchError) {
+            logger.error('Error during direct tag search', { text: messageText, error: directSearchError });
+            // Don't fail here, proceed to Gemini if direct search API fails
+        }
+        if (photos.length === 0) return null;
+
+        logger.info('Found photos for direct tag', { text: messageText, photoCount: photos.length });
+        const randomPhoto = photoPicker.pick(chatKey, photos, photo => photo.path);
+        logger.info('Selected random photo for direct tag', { photo: randomPhoto.path });
+        if (!isValidPhotoPath(randomPhoto)) {
+            logger.error('Invalid photo path format from direct search', { photo: randomPhoto.path });
+            return null; // If format is invalid, fall through to Gemini as a backup
+        }
+        const imageMessage = createImageMessage(photoBaseUrl, randomPhoto);
+        logger.info('Replying with image from direct search', { imageUrl: imageMessage.originalContentUrl });
+        return imageMessage;
+    }
+
+    // 2. Ask Gemini to understand the message and extract search keywords
+    async function extractKeywords(messageText) {
+        if (!llm.enabled) {
+            logger.info('LLM disabled, skipping keyword extraction');
+            return [];
+        }
+        const inputCheck = moderator.checkInput(messageText);
+        if (!inputCheck.ok) {
+            logger.warn('Rejected user message before keyword extraction', { text: messageText, reason: inputCheck.reason });
+            return [];
+        }
+        try {
+            const prompt = prompts.render('keywordExtraction', { messageText: moderator.sanitizeInput(messageText) });
+            const geminiText = await llm.generate({ prompt: prompt.text });
+
+            if (!geminiText) {
+                logger.info('Gemini did not return any keywords');
+                return [];
+            }
+            let keywords = geminiText.split(',').map(k => k.trim()).filter(k => k);
+
+            // Explicitly filter out the persona's name (e.g. "韓國瑜") and any potentially empty strings again
+            keywords = keywords.filter(keyword => keyword && keyword !== persona.name);
+            logger.info('Gemini extracted keywords', { promptVersion: prompt.version, rawKeywords: geminiText, keywords });
+            return keywords;
+        } catch (geminiApiError) {
+            logger.error('Error calling Gemini API for keyword extraction', { error: geminiApiError });
+            return []; // Proceed with empty keywords array, will lead to fallback
+        }
+    }
+
+    // 3. Search photos for all extracted keywords in parallel, keeping keyword order as priority.
+    //    Returns { reply, keyword, related } where related lists other keywords that have photos.
+    async function searchKeywords(chatKey, keywords) {
+        logger.info('Searching photos for keywords', { keywords });
+        const results = await photoRepository.searchMany(keywords);
+        for (const { keyword, photos, error } of results) {
+            if (error) {
+                logger.error('Error searching photos for keyword', { keyword, error, responseData: error.response && error.response.data });
+                continue; // Continue to the next keyword even if search fails for one
+            }
+            if (photos.length === 0) {
+                logger.info('No photos found for keyword', { keyword });
+                continue;
+            }
+            logger.info('Found photos for keyword', { keyword, photoCount: photos.length });
+            const randomPhoto = photoPicker.pick(chatKey, photos, photo => photo.path);
+            logger.info('Selected random photo for keyword', { keyword, photo: randomPhoto.path });
+
+            if (!isValidPhotoPath(randomPhoto)) {
+                logger.error('Invalid photo path format', { photo: randomPhoto.path });
+                continue; // Try next keyword if format is invalid
+            }
+            const imageMessage = createImageMessage(photoBaseUrl, randomPhoto);
+            logger.info('Replying with image', { imageUrl: imageMessage.originalContentUrl });
+            const related = results
+                .filter(result => result.keyword !== keyword && result.photos.length > 0)
+                .map(result => result.keyword);
+            return { reply: imageMessage, keyword, related };
+        }
+        return null;
+    }
+
+    // 4. Generate a Gemini response based on the user message, continuing
+    //    the user's recent conversation
+    async function generateChatResponse(userId, messageText, fallbackText) {
+        const geminiText = await hanResponder.respond(messageText, { historyKey: userId });
+        if (geminiText) {
+            return createTextMessage(geminiText);
+        }
+        logger.info('Falling back to fixed default message', { text: messageText });
+        logger.setResolution('fixed-fallback');
+        return createTextMessage(fallbackText);
+    }
+
+    // Run the pipeline for `messageText` and reply. Options:
+    //   directSearch: try the whole text as a tag first (default true)
+    //   keywords:     search keywords to use instead of asking Gemini (ignored when empty)
+    //   fallbackText: reply used when every step fails
+    async function run(ctx, messageText, {
+        directSearch = true,
+        keywords: givenKeywords = [],
+        fallbackText = `${prefix}沒有在跟你${messageText}的啦！`,
+    } = {}) {
+        try {
+            if (directSearch) {
+                const directReply = await searchDirect(ctx.chatKey, messageText);
+                if (directReply) {
+                    logger.setResolution('direct-search');
+                    return ctx.reply(attachQuickReply(directReply, [
+                        quickReplyItems.moreTag(messageText),
+                        quickReplyItems.quote(),
+                    ]));
+                }
+                logger.info('Direct tag search yielded no results, attempting keyword search', { text: messageText });
+            }
+
+            const keywords = givenKeywords.length > 0 ? givenKeywords : await extractKeywords(messageText);
+            const keywordResult = await searchKeywords(ctx.chatKey, keywords);
+            if (keywordResult) {
+                logger.setResolution(givenKeywords.length > 0 ? 'keyword-search' : 'gemini-keyword-search');
+                return ctx.reply(attachQuickReply(keywordResult.reply, [
+                    quickReplyItems.moreTag(keywordResult.keyword),
+                    quickReplyItems.quote(),
+                    ...keywordResult.related.map(quickReplyItems.relatedTag),
+                ]));
+            }
+
+            logger.info('No photos found for any keyword, attempting Gemini text response');
+            return ctx.reply(await generateChatResponse(ctx.event.source.userId, messageText, fallbackText));
+        } catch (error) {
+            logger.error('Unexpected error during user message processing, using fixed message', { error });
+            logger.setResolution('fixed-fallback');
+            return ctx.reply(createTextMessage(fallbackText));
+        }
+    }
+
+    return { run, searchKeywords };
+}
+
+module.exports = { createChatPipeline };
@@ -0,0 +1,57 @@
+'use strict';
+
+// --- Chinese Text Normalization ---
+// Folds search text to one form so "发大财", "發大財" and "發 大 財！" compare
+// equal: NFKC (full-width letters and digits), lower case, simplified to
+// traditional characters, and no whitespace, punctuation or symbols.
+// The table covers common characters one to one; characters with several
+// traditional forms (干, 面, 系, ...) are left alone. Both the index and the
+// query go through the same folding, so a few variant traditional forms
+// (臺, 爲, 裏, ...) are folded too.
+
+// Pairs of "simplified traditional"
+const CHARACTER_PAIRS = `
+爱愛 罢罷 摆擺 败敗 办辦 帮幫 宝寶 报報 备備 贝貝 笔筆 币幣 边邊 变變 标標 别別 宾賓 补補
+财財 参參 层層 产產 长長 场場 车車 陈陳 称稱 诚誠 迟遲 齿齒 冲衝 虫蟲 处處 传傳 创創 词詞
+从從 错錯 达達 带帶 单單 当當 党黨 导導 灯燈 邓鄧 敌敵 递遞 点點 电電 东東 动動 冻凍 斗鬥
+独獨 读讀 对對 队隊 吨噸 夺奪 恶惡 儿兒 尔爾 发發 范範 飞飛 费費 丰豐 风風 凤鳳 妇婦 复復
+该該 盖蓋 赶趕 刚剛 钢鋼 个個 给給 宫宮 巩鞏 贡貢 沟溝 构構 购購 顾顧 关關 观觀 馆館 广廣
+归歸 贵貴 国國 过過 还還 汉漢 号號 韩韓 后後 护護 华華 划劃 画畫 话話 欢歡 环環 换換 黄黃
+会會 汇匯 获獲 货貨 击擊 机機 积積 级級 极極 几幾 计計 记記 纪紀 际際 济濟 继繼 价價 坚堅
+间間 检檢 简簡 见見 舰艦 将將 奖獎 讲講 胶膠 骄驕 脚腳 觉覺 较較 阶階 节節 杰傑 结結 洁潔
+仅僅 紧緊 进進 尽盡 惊驚 经經 竞競 旧舊 举舉 剧劇 据據 决決 军軍 开開 凯凱 课課 垦墾 块塊
+况況 亏虧 来來 蓝藍 篮籃 览覽 劳勞 乐樂 类類 里裡 礼禮 历歷 丽麗 励勵 连連 联聯 脸臉 练練
+粮糧 两兩 辆輛 疗療 临臨 灵靈 领領 刘劉 龙龍 楼樓 陆陸 录錄 虑慮 乱亂 论論 罗羅 马馬 买買
+卖賣 麦麥 满滿 猫貓 门門 们們 梦夢 弥彌 庙廟 灭滅 鸣鳴 难難 脑腦 闹鬧 内內 鸟鳥 宁寧 农農
+诺諾 欧歐 盘盤 赔賠 喷噴 苹蘋 评評 凭憑 齐齊 骑騎 气氣 迁遷 钱錢 签簽 墙牆 桥橋 亲親 轻輕
+请請 庆慶 穷窮 区區 权權 劝勸 却卻 确確 让讓 热熱 认認 荣榮 软軟 杀殺 伞傘 扫掃 晒曬 伤傷
+赏賞 烧燒 绍紹 设設 摄攝 审審 胜勝 圣聖 师師 诗詩 时時 识識 实實 势勢 视視 试試 饰飾 适適
+释釋 寿壽 书書 输輸 术術 树樹 帅帥 双雙 谁誰 税稅 说說 丝絲 虽雖 随隨 岁歲 孙孫 损損 态態
+谈談 汤湯 叹嘆 讨討 题題 体體 条條 铁鐵 听聽 厅廳 统統 头頭 图圖 团團 湾灣 万萬 网網 为為
+伟偉 卫衛 违違 围圍 问問 稳穩 无無 务務 雾霧 误誤 习習 戏戲 细細 虾蝦 吓嚇 闲閒 县縣 现現
+线線 宪憲 乡鄉 响響 项項 协協 写寫 谢謝 兴興 选選 学學 寻尋 训訓 讯訊 压壓 亚亞 严嚴 盐鹽
+验驗 阳陽 养養 样樣 药藥 爷爺 叶葉 业業 页頁 医醫 仪儀 遗遺 亿億 忆憶 艺藝 议議 阴陰 银銀
+饮飲 应應 营營 拥擁 优優 忧憂 邮郵 犹猶 鱼魚 与與 语語 狱獄 预預 园園 员員 圆圓 远遠 愿願
+约約 阅閱 跃躍 云雲 运運 杂雜 灾災 载載 赞讚 脏髒 责責 则則 泽澤 贼賊 赠贈 战戰 张張 涨漲
+账帳 赵趙 这這 针針 侦偵 镇鎮 阵陣 争爭 证證 郑鄭 织織 执執 职職 纸紙 质質 钟鐘 种種 众眾
+猪豬 烛燭 筑築 专專 转轉 庄莊 装裝 壮壯 状狀 准準 资資 综綜 总總 纵縱 组組 钻鑽 吗嗎 么麼
+调調 谋謀 诈詐 贪貪 骗騙 贫貧 贸貿 赛賽 烦煩 饭飯 饿餓 鸡雞 鸭鴨 饺餃 妈媽 岛島 贴貼
+赚賺 赌賭 鲜鮮 厉厲 闻聞 颜顏 额額 顺順 须須 贷貸 贺賀 础礎 罚罰 诉訴 谎謊 谣謠 许許 访訪 饱飽 毕畢 炉爐
+臺台 爲為 裏裡 着著 綫線 衆眾 麽麼
+`;
+
+const TRADITIONAL = new Map(
+    CHARACTER_PAIRS.trim().split(/\s+/).map(pair => Array.from(pair))
+);
+
+function toTraditional(text) {
+    return Array.from(text, char => TRADITIONAL.get(char) || char).join('');
+}
+
+// The folded form used for search; '' for text with nothing searchable
+function normalizeSearchText(text) {
+    const folded = toTraditional(String(text || '').normalize('NFKC').toLowerCase());
+    return folded.replace(/[\s\p{P}\p{S}]+/gu, '');
+}
+
+module.exports = { toTraditional, normalizeSearchText };
@@ -0,0 +1,131 @@
+'use strict';
+
+// --- Command Registry ---
+// Each command declares how it is triggered, an async handler and help text.
+// Commands are matched in registration order; the first match wins.
+//
+// Supported trigger fields (all optional, combined with AND):
+//   exact:       string or array of strings the trimmed text must equal
+//   prefix:      string or array of prefixes; the remainder becomes ctx.args
+//                (an empty remainder does not match)
+//   regex:       RegExp tested against the trimmed text; the result becomes ctx.match
+//   sourceTypes: array of event.source.type values ('user', 'group', 'room')
+//   mentioned:   true to only match messages that @-mention the bot
+//   messageTypes: array of message types ('text', 'image', 'sticker', ...);
+//                defaults to text only. Non-text messages are matched with an empty text.
+//   eventTypes:  array of non-message event types ('follow', 'join', 'memberJoined', ...);
+//                such commands only match those events (see matchEvent)
+//
+// A command may also set `postbackAction` to handle postback events whose
+// data (a URL-encoded query string) has a matching "action" parameter. The
+// "q" parameter becomes ctx.args and all parameters are passed as ctx.params.
+//
+// `cost` selects the rate-limit budget (see rateLimiter.js): "cheap" (default)
+// or "expensive" for commands that may call the LLM. `exemptFromRateLimit`
+// skips the rate limits: true, or a function of { event, match } deciding
+// for each message.
+
+function toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function matchTrigger(trigger, text, { sourceType, mentioned = false, messageType = 'text', eventType = 'message' }) {
+    const result = { args: null, match: null };
+
+    const eventTypes = toArray(trigger.eventTypes);
+    if (!(eventTypes.length > 0 ? eventTypes : ['message']).includes(eventType)) {
+        return null;
+    }
+
+    const messageTypes = toArray(trigger.messageTypes);
+    if (!(messageTypes.length > 0 ? messageTypes : ['text']).includes(messageType)) {
+        return null;
+    }
+
+    const sourceTypes = toArray(trigger.sourceTypes);
+    if (sourceTypes.length > 0 && !sourceTypes.includes(sourceType)) {
+        return null;
+    }
+    if (trigger.mentioned && !mentioned) {
+        return null;
+    }
+
+    const exact = toArray(trigger.exact);
+    if (exact.length > 0 && !exact.includes(text)) {
+        return null;
+    }
+
+    const prefixes = toArray(trigger.prefix);
+    if (prefixes.length > 0) {
+        const prefix = prefixes.find(p => text.startsWith(p));
+        if (!prefix) return null;
+        const args = text.substring(prefix.length).trim();
+        if (!args) return null; // "院長，" alone is not a tag search
+        result.args = args;
+    }
+
+    if (trigger.regex) {
+        const match = text.match(trigger.regex);
+        if (!match) return null;
+        result.match = match;
+    }
+
+    return result;
+}
+
+function createCommandRegistry() {
+    const commands = [];
+
+    function register(command) {
+        if (!command || !command.name || typeof command.handler !== 'function') {
+            throw new Error('Command must have a name and a handler function.');
+        }
+        if (!command.trigger) {
+            throw new Error(`Command "${command.name}" must declare a trigger.`);
+        }
+        if (commands.some(c => c.name === command.name)) {
+            throw new Error(`Command "${command.name}" is already registered.`);
+        }
+        commands.push(command);
+        return command;
+    }
+
+    // Returns { command, args, match } for the first command matching the text, or null.
+    // `message` is { sourceType, mentioned, messageType } for the incoming message.
+    function match(text, message) {
+        for (const command of commands) {
+            const result = matchTrigger(command.trigger, text, message);
+            if (result) {
+                return { command, args: result.args, match: result.match };
+            }
+        }
+        return null;
+    }
+
+    // Returns { command, args, params } for the command handling this postback data, or null.
+    function matchPostback(data, sourceType) {
+        const params = new URLSearchParams(data || '');
+        const action = params.get('action');
+        if (!action) return null;
+        const command = commands.find(c => c.postbackAction === action
+            && matchTrigger({ sourceTypes: c.trigger.sourceTypes }, '', { sourceType }));
+        if (!command) return null;
+        return { command, args: params.get('q'), params };
+    }
+
+    // Returns { command, args } for the first command handling this non-message event, or null
+    function matchEvent(eventType, sourceType) {
+        const command = commands.find(c => matchTrigger(c.trigger, '', { sourceType, eventType }));
+        if (!command) return null;
+        return { command, args: null };
+    }
+
+    function list() {
+        return commands.slice();
+    }
+
+    return { register, match, matchPostback, matchEvent, list };
+}
+
+module.exports = { createCommandRegistry };
@@ -0,0 +1,20 @@
+'use strict';
+
+const { DEFAULT_PREFIX } = require('../persona');
+
+// One-on-one free text: runs the chat pipeline (direct tag search, Gemini
+// keyword extraction, Han-style reply, fixed fallback).
+function createChatCommand({ chatPipeline, prefix = DEFAULT_PREFIX }) {
+    return {
+        name: 'chat',
+        usage: '（私訊）任何訊息',
+        help: `私訊${prefix}任何話，${prefix}會找照片或親自回你`,
+        trigger: { sourceTypes: ['user'] },
+        cost: 'expensive',
+        async handler(ctx) {
+            return chatPipeline.run(ctx, ctx.text);
+        },
+    };
+}
+
+module.exports = { createChatCommand };
@@ -0,0 +1,22 @@
+'use strict';
+
+const { createTextMessage } = require('../photoMessages');
+const { DEFAULT_PREFIX } = require('../persona');
+const { logger } = require('../logger');
+
+// "院長，忘記": clear the one-on-one conversation history for this user
+function createForgetCommand({ conversationMemory, prefix = DEFAULT_PREFIX }) {
+    return {
+        name: 'forget',
+        usage: `${prefix}，忘記`,
+        help: `讓${prefix}忘掉剛剛私訊聊過的內容`,
+        trigger: { exact: [`${prefix}，忘記`, `${prefix} 忘記`] },
+        async handler(ctx) {
+            logger.info('Clearing conversation history');
+            await conversationMemory.clear(ctx.event.source.userId);
+            return ctx.reply(createTextMessage(`好，剛剛講的${prefix}都忘記了，我們重新開始！`));
+        },
+    };
+}
+
+module.exports = { createForgetCommand };
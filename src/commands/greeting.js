@@ -0,0 +1,61 @@
+'use strict';
+
+const {
+    isValidPhotoPath,
+    createImageMessage,
+    createTextMessage,
+} = require('../photoMessages');
+const { createQuickReplyItems, attachQuickReply } = require('../quickReplies');
+const { DEFAULT_PREFIX } = require('../persona');
+const { logger } = require('../logger');
+
+// "院長好": reply with a random photo from the whole library
+function createGreetingCommand({ photoRepository, photoPicker, photoBaseUrl, prefix = DEFAULT_PREFIX }) {
+    const quickReplyItems = createQuickReplyItems(prefix);
+    return {
+        name: 'greeting',
+        usage: `${prefix}好`,
+        help: `隨機送上一張${prefix}的照片`,
+        trigger: { exact: `${prefix}好` },
+        postbackAction: 'greeting',
+        async handler(ctx) {
+            try {
+                // 1. Fetch ALL photos from your API (no search term, cached)
+                const photos = await photoRepository.listAll();
+
+                if (!photos || photos.length === 0) {
+                    logger.info('No photos found from API for greeting');
+                    logger.setResolution('no-photos');
+                    return ctx.reply(createTextMessage(`${prefix}這邊現在沒有照片啦！`));
+                }
+                const randomPhoto = photoPicker.pick(ctx.chatKey, photos, photo => photo.path);
+                logger.info('Selected random photo', { photo: randomPhoto.path });
+
+                if (!isValidPhotoPath(randomPhoto)) {
+                    logger.error('Invalid photo path format', { photo: randomPhoto.path });
+                    logger.setResolution('error-message');
+                    return ctx.reply(createTextMessage('抱歉，隨機選到的照片路徑格式錯誤。'));
+                }
+                const imageMessage = createImageMessage(photoBaseUrl, randomPhoto);
+                logger.info('Replying with image', { imageUrl: imageMessage.originalContentUrl });
+                logger.setResolution('random-photo');
+                return ctx.reply(attachQuickReply(imageMessage, [quickReplyItems.moreRandom(), quickReplyItems.quote()]));
+            } catch (error) {
+                let errorMessage = `抱歉，處理「${prefix}好」請求時發生錯誤。`;
+                if (error.response) {
+                    logger.error('Photo API error for greeting', { error, responseData: error.response.data });
+                    errorMessage = '抱歉，無法從圖片庫取得資料。';
+                } else if (error.request) {
+                    logger.error('Photo API did not respond for greeting', { error });
+                    errorMessage = '抱歉，無法連線到圖片庫。';
+                } else {
+                    logger.error('Error processing greeting request', { error });
+                }
+                logger.setResolution('error-message');
+                return ctx.reply(createTextMessage(errorMessage));
+            }
+        },
+    };
+}
+
+module.exports = { createGreetingCommand };
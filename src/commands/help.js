@@ -0,0 +1,28 @@
+'use strict';
+
+const { createTextMessage } = require('../photoMessages');
+const { DEFAULT_PREFIX } = require('../persona');
+
+// Every registered command that has usage text, with its help text
+function formatCommandList(registry, prefix = DEFAULT_PREFIX) {
+    const lines = registry.list()
+        .filter(command => command.usage)
+        .map(command => `${command.usage}：${command.help || ''}`);
+    return `${prefix}會的指令：\n${lines.join('\n')}`;
+}
+
+// "院長，幫助": list every registered command with its help text.
+// The list is built at reply time so commands registered later are included.
+function createHelpCommand({ registry, prefix = DEFAULT_PREFIX }) {
+    return {
+        name: 'help',
+        usage: `${prefix}，幫助`,
+        help: `列出${prefix}會的所有指令`,
+        trigger: { exact: [`${prefix}，幫助`, `${prefix} 幫助`] },
+        async handler(ctx) {
+            return ctx.reply(createTextMessage(formatCommandList(registry, prefix)));
+        },
+    };
+}
+
+module.exports = { createHelpCommand, formatCommandList };
@@ -0,0 +1,47 @@
+'use strict';
+
+const { createChatPipeline } = require('../chatPipeline');
+const { createGreetingCommand } = require('./greeting');
+const { createQuoteCommand } = require('./quote');
+const { createHelpCommand } = require('./help');
+const { createForgetCommand } = require('./forget');
+const { createSettingsCommand } = require('./settings');
+const { createSubscribeCommand, createUnsubscribeCommand } = require('./subscription');
+const { createMemeCommand } = require('./meme');
+const { createTagSearchCommand } = require('./tagSearch');
+const { createMentionChatCommand } = require('./mentionChat');
+const { createChatCommand } = require('./chat');
+const { createImageCommand, createStickerCommand } = require('./media');
+const {
+    createFollowWelcomeCommand,
+    createJoinWelcomeCommand,
+    createMemberJoinedWelcomeCommand,
+} = require('./welcome');
+
+// Register the built-in commands. Order matters: exact commands must come
+// before the "院長，[tag]" prefix search, and the chat fallbacks go last.
+// "院長，梗圖" is only registered when a memeRenderer is given.
+function registerCoreCommands(registry, baseDeps) {
+    const deps = { ...baseDeps, chatPipeline: baseDeps.chatPipeline || createChatPipeline(baseDeps) };
+    registry.register(createGreetingCommand(deps));
+    registry.register(createQuoteCommand(deps));
+    registry.register(createHelpCommand({ ...deps, registry }));
+    registry.register(createForgetCommand(deps));
+    registry.register(createSettingsCommand(deps));
+    registry.register(createSubscribeCommand(deps));
+    registry.register(createUnsubscribeCommand(deps));
+    if (deps.memeRenderer) {
+        registry.register(createMemeCommand(deps));
+    }
+    registry.register(createTagSearchCommand(deps));
+    registry.register(createMentionChatCommand(deps));
+    registry.register(createChatCommand(deps));
+    registry.register(createImageCommand(deps));
+    registry.register(createStickerCommand(deps));
+    registry.register(createFollowWelcomeCommand({ ...deps, registry }));
+    registry.register(createJoinWelcomeCommand({ ...deps, registry }));
+    registry.register(createMemberJoinedWelcomeCommand(deps));
+    return registry;
+}
+
+module.exports = { registerCoreCommands };
@@ -0,0 +1,96 @@
+'use strict';
+
+const { createTextMessage } = require('../photoMessages');
+const { DEFAULT_PREFIX } = require('../persona');
+const { logger } = require('../logger');
+
+// One-on-one image message: ask a multimodal model to describe the photo,
+// then run the chat pipeline on the description (photo search, then a
+// Han-style comment).
+function createImageCommand({ llm, prompts, contentDownloader, chatPipeline, prefix = DEFAULT_PREFIX }) {
+    const fallbackText = `${prefix}看不太懂這張照片啦！`;
+
+    async function describeImage(messageId) {
+        const image = await contentDownloader.download(messageId);
+        const prompt = prompts.render('imageDescription', {});
+        const description = await llm.generate({
+            prompt: prompt.text,
+            images: [{ mimeType: image.mimeType, data: image.data.toString('base64') }],
+        });
+        logger.info('Gemini described image', { messageId, promptVersion: prompt.version, description });
+        return description;
+    }
+
+    return {
+        name: 'image',
+        usage: '（私訊）傳一張照片',
+        help: `${prefix}看完照片會找一張照片回你，或親自評論`,
+        trigger: { messageTypes: ['image'], sourceTypes: ['user'] },
+        cost: 'expensive',
+        async handler(ctx) {
+            const message = ctx.event.message;
+            if (!llm.enabled) {
+                logger.info('LLM disabled, cannot describe image');
+                logger.setResolution('fixed-fallback');
+                return ctx.reply(createTextMessage(fallbackText));
+            }
+            // Images hosted elsewhere (contentProvider.type "external") cannot be downloaded from LINE
+            if (message.contentProvider && message.contentProvider.type !== 'line') {
+                logger.info('Image is from an external provider, using fixed message', { messageId: message.id });
+                logger.setResolution('fixed-fallback');
+                return ctx.reply(createTextMessage(fallbackText));
+            }
+
+            let description;
+            try {
+                description = await describeImage(message.id);
+            } catch (error) {
+                logger.error('Error describing image', { messageId: message.id, error });
+            }
+            if (!description) {
+                logger.setResolution('fixed-fallback');
+                return ctx.reply(createTextMessage(fallbackText));
+            }
+            return chatPipeline.run(ctx, `（傳了一張照片：${description}）`, {
+                directSearch: false,
+                fallbackText,
+            });
+        },
+    };
+}
+
+// One-on-one sticker message: map the sticker's keywords to search tags via
+// stickerKeywords.json and search photos for them; without a hit, fall back
+// to the chat pipeline on the keywords.
+function createStickerCommand({ chatPipeline, stickerKeywords = {}, prefix = DEFAULT_PREFIX }) {
+    function mapKeywords(keywords) {
+        const tags = [];
+        for (const keyword of keywords) {
+            for (const tag of stickerKeywords[keyword.toLowerCase()] || []) {
+                if (!tags.includes(tag)) tags.push(tag);
+            }
+        }
+        return tags;
+    }
+
+    return {
+        name: 'sticker',
+        usage: '（私訊）傳一張貼圖',
+        help: `${prefix}會回一張心情相近的照片`,
+        trigger: { messageTypes: ['sticker'], sourceTypes: ['user'] },
+        cost: 'expensive',
+        async handler(ctx) {
+            const keywords = ctx.event.message.keywords || [];
+            const tags = mapKeywords(keywords);
+            logger.info('Mapped sticker keywords to tags', { stickerKeywords: keywords, tags });
+            const messageText = keywords.length > 0 ? `（傳了一張貼圖：${keywords.join('、')}）` : '（傳了一張貼圖）';
+            return chatPipeline.run(ctx, messageText, {
+                directSearch: false,
+                keywords: tags,
+                fallbackText: `${prefix}收到你的貼圖了！`,
+            });
+        },
+    };
+}
+
+module.exports = { createImageCommand, createStickerCommand };
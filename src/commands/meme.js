@@ -0,0 +1,85 @@
+'use strict';
+
+const { isValidPhotoPath, createTextMessage } = require('../photoMessages');
+const { createPostbackItem, attachQuickReply } = require('../quickReplies');
+const { DEFAULT_PREFIX, prefixedRegex } = require('../persona');
+const { logger } = require('../logger');
+
+// A short Han-style caption about the topic from the LLM, or null when it is
+// disabled, fails or the caption is rejected by moderation
+async function generateCaption({ llm, prompts, moderator, getQuotesString }, topic) {
+    if (!llm.enabled || !moderator.checkInput(topic).ok) return null;
+    try {
+        const prompt = prompts.render('memeCaption', {
+            topic: moderator.sanitizeInput(topic),
+            koreanYuQuotesString: await getQuotesString(topic),
+        });
+        const caption = await llm.generate({ prompt: prompt.text });
+        if (!caption || !moderator.checkOutput(caption).ok) {
+            logger.info('No usable meme caption from the LLM', { topic, promptVersion: prompt.version, caption });
+            return null;
+        }
+        logger.info('Generated meme caption', { topic, promptVersion: prompt.version, caption });
+        return caption;
+    } catch (error) {
+        logger.error('Error generating meme caption', { topic, error });
+        return null;
+    }
+}
+
+// "院長，梗圖 [標籤或文字]": a photo found by tag search (or any photo) with a
+// caption drawn on it: the most relevant quote, a generated Han-style line
+// when no quote is relevant, or a random quote without a topic. The image is
+// rendered by memeRenderer and served from PUBLIC_BASE_URL.
+function createMemeCommand(deps) {
+    const { photoRepository, photoPicker, memeRenderer, memeBaseUrl, getRandomQuote, findQuote, prefix = DEFAULT_PREFIX } = deps;
+
+    async function findPhoto(chatKey, topic) {
+        const found = topic ? (await photoRepository.search(topic)).filter(isValidPhotoPath) : [];
+        const photos = found.length > 0 ? found : (await photoRepository.listAll()).filter(isValidPhotoPath);
+        return photos.length > 0 ? photoPicker.pick(chatKey, photos, photo => photo.path) : null;
+    }
+
+    async function findCaption(chatKey, topic) {
+        if (!topic) return { caption: getRandomQuote(chatKey), source: 'random' };
+        const quote = await findQuote(topic, chatKey);
+        if (quote) return { caption: quote, source: 'quote' };
+        const generated = await generateCaption(deps, topic);
+        return generated ? { caption: generated, source: 'generated' } : { caption: getRandomQuote(chatKey), source: 'random' };
+    }
+
+    return {
+        name: 'meme',
+        usage: `${prefix}，梗圖 [標籤或文字]`,
+        help: `做一張配上${prefix}金句的梗圖，例如「${prefix}，梗圖 發大財」`,
+        trigger: { regex: prefixedRegex(prefix, /[，\s]梗圖(?:\s+(.+))?$/) },
+        postbackAction: 'meme',
+        cost: 'expensive',
+        async handler(ctx) {
+            const topic = ((ctx.match && ctx.match[1]) || ctx.args || '').trim();
+            try {
+                const photo = await findPhoto(ctx.chatKey, topic);
+                if (!photo) {
+                    logger.info('No photos to make a meme with', { topic });
+                    logger.setResolution('no-photos');
+                    return ctx.reply(createTextMessage(`${prefix}這邊現在沒有照片啦！`));
+                }
+                const { caption, source } = await findCaption(ctx.chatKey, topic);
+                const id = await memeRenderer.render(photo, caption);
+                logger.info('Replying with meme', { topic, photo: photo.path, caption, captionSource: source, id });
+                logger.setResolution(`meme-${source}`);
+                return ctx.reply(attachQuickReply({
+                    type: 'image',
+                    originalContentUrl: `${memeBaseUrl}/memes/${id}.jpg`,
+                    previewImageUrl: `${memeBaseUrl}/memes/${id}-preview.jpg`,
+                }, [createPostbackItem('再一張', 'meme', topic || null, topic ? `${prefix}，梗圖 ${topic}` : `${prefix}，梗圖`)]));
+            } catch (error) {
+                logger.error('Error making meme', { topic, error });
+                logger.setResolution('error-message');
+                return ctx.reply(createTextMessage(`抱歉，${prefix}的梗圖做不出來，等一下再試試看。`));
+            }
+        },
+    };
+}
+
+module.exports = { createMemeCommand };
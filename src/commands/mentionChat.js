@@ -0,0 +1,31 @@
+'use strict';
+
+const { createTextMessage } = require('../photoMessages');
+const { DEFAULT_PREFIX } = require('../persona');
+const { logger } = require('../logger');
+
+// @-mention in a group or room: reply with a Han-style message, unless the
+// group turned free chat off. Runs after the "院長，..." commands so a
+// mention followed by a command still runs that command.
+function createMentionChatCommand({ hanResponder, prefix = DEFAULT_PREFIX }) {
+    return {
+        name: 'mentionChat',
+        usage: `（群組）@${prefix} 任何訊息`,
+        help: `在群組 @${prefix}，${prefix}會親自回你`,
+        trigger: { sourceTypes: ['group', 'room'], mentioned: true },
+        cost: 'expensive',
+        async handler(ctx) {
+            if (!ctx.settings.freeChat) {
+                logger.info('Free chat is disabled, ignoring mention');
+                logger.setResolution('ignored');
+                return null;
+            }
+            const messageText = ctx.text || `${prefix}好`;
+            const geminiText = await hanResponder.respond(messageText, { chatKey: ctx.chatKey });
+            if (!geminiText) logger.setResolution('fixed-fallback');
+            return ctx.reply(createTextMessage(geminiText || `${prefix}沒有在跟你${messageText}的啦！`));
+        },
+    };
+}
+
+module.exports = { createMentionChatCommand };
@@ -0,0 +1,44 @@
+'use strict';
+
+const { createTextMessage } = require('../photoMessages');
+const { createPostbackItem, attachQuickReply } = require('../quickReplies');
+const { DEFAULT_PREFIX, prefixedRegex } = require('../persona');
+const { logger } = require('../logger');
+
+// "院長，金句" / "院長，語錄": reply with a quote from quotes.json, cycling per chat.
+// "院長，金句 [主題]" replies with the quote most relevant to the topic instead,
+// and its "再一句" chip asks for another one on the same topic.
+function createQuoteCommand({ getRandomQuote, findQuote, prefix = DEFAULT_PREFIX }) {
+    return {
+        name: 'quote',
+        usage: `${prefix}，金句 [主題] / ${prefix}，語錄`,
+        help: `來一句${prefix}金句，加上主題就找最相關的，例如「${prefix}，金句 經濟」`,
+        trigger: { regex: prefixedRegex(prefix, /，(?:金句|語錄)(?:\s+(.+))?$/) },
+        postbackAction: 'quote',
+        async handler(ctx) {
+            const topic = ((ctx.match && ctx.match[1]) || ctx.args || '').trim();
+            const moreItem = createPostbackItem('再一句', 'quote', topic || null, '再一句');
+            if (!topic) {
+                const randomQuote = getRandomQuote(ctx.chatKey);
+                logger.info('Replying with random quote', { quote: randomQuote });
+                return ctx.reply(attachQuickReply(createTextMessage(randomQuote), [moreItem]));
+            }
+
+            const quote = await findQuote(topic, ctx.chatKey);
+            if (!quote) {
+                const randomQuote = getRandomQuote(ctx.chatKey);
+                logger.info('No quote relevant to the topic, replying with a random one', { topic, quote: randomQuote });
+                logger.setResolution('quote-random');
+                return ctx.reply(attachQuickReply(
+                    createTextMessage(`${prefix}好像沒講過跟「${topic}」有關的話，送你這句：\n${randomQuote}`),
+                    [moreItem]
+                ));
+            }
+            logger.info('Replying with relevant quote', { topic, quote });
+            logger.setResolution('quote-relevant');
+            return ctx.reply(attachQuickReply(createTextMessage(quote), [moreItem]));
+        },
+    };
+}
+
+module.exports = { createQuoteCommand };
@@ -0,0 +1,85 @@
+'use strict';
+
+const { createTextMessage } = require('../photoMessages');
+const { DEFAULT_PREFIX, prefixedRegex } = require('../persona');
+const { logger } = require('../logger');
+
+const SETTING_NAMES = {
+    閒聊: 'freeChat',
+    活動: 'campaigns',
+    頻率: 'repliesPerMinute',
+};
+const ON_VALUES = ['開', '開啟', 'on'];
+const OFF_VALUES = ['關', '關閉', 'off'];
+
+function formatSettings(settings, prefix) {
+    return [
+        `${prefix}在這裡的設定：`,
+        `閒聊（被 @ 時回話）：${settings.freeChat ? '開' : '關'}`,
+        `活動（特殊標籤的活動訊息）：${settings.campaigns ? '開' : '關'}`,
+        `頻率（每分鐘最多回覆）：${settings.repliesPerMinute > 0 ? `${settings.repliesPerMinute} 則` : '不限'}`,
+        '',
+        `修改：${prefix}，設定 閒聊 開/關、${prefix}，設定 活動 開/關、${prefix}，設定 頻率 [數字]、${prefix}，設定 重設`,
+    ].join('\n');
+}
+
+// Parse "開"/"關" or a number depending on the setting; returns undefined if invalid
+function parseValue(key, value) {
+    if (key === 'repliesPerMinute') {
+        const number = parseInt(value, 10);
+        return Number.isNaN(number) || number < 0 ? undefined : number;
+    }
+    if (ON_VALUES.includes(value)) return true;
+    if (OFF_VALUES.includes(value)) return false;
+    return undefined;
+}
+
+// "院長，設定": show or change per-group settings. Only the users in
+// adminUserIds may change settings; without any, settings are read-only.
+function createSettingsCommand({ groupSettings, adminUserIds = [], prefix = DEFAULT_PREFIX }) {
+    const isAdmin = source => adminUserIds.includes(source.userId);
+
+    return {
+        name: 'settings',
+        usage: `${prefix}，設定`,
+        help: `查看或修改${prefix}在這個群組的設定`,
+        trigger: { regex: prefixedRegex(prefix, /[，\s]設定(?:\s+(\S+)(?:\s+(\S+))?)?$/) },
+        // Admins must be able to lift a limit that is too strict
+        exemptFromRateLimit: ({ event, match }) => Boolean(match && match[1]) && isAdmin(event.source),
+        async handler(ctx) {
+            const source = ctx.event.source;
+            if (source.type === 'user') {
+                return ctx.reply(createTextMessage('設定只能在群組或聊天室裡使用喔！'));
+            }
+            const [, name, value] = ctx.match;
+            if (!name) {
+                return ctx.reply(createTextMessage(formatSettings(groupSettings.get(ctx.chatKey), prefix)));
+            }
+
+            if (adminUserIds.length === 0) {
+                logger.info('Rejected settings change, no admins are configured');
+                return ctx.reply(createTextMessage(`還沒有設定管理員，不能修改${prefix}的設定。`));
+            }
+            if (!isAdmin(source)) {
+                logger.info('Rejected settings change from non-admin');
+                return ctx.reply(createTextMessage(`抱歉，只有管理員可以修改${prefix}的設定。`));
+            }
+
+            if (name === '重設') {
+                logger.info('Resetting group settings');
+                return ctx.reply(createTextMessage(formatSettings(await groupSettings.reset(ctx.chatKey), prefix)));
+            }
+
+            const key = SETTING_NAMES[name];
+            const parsed = key && value !== undefined ? parseValue(key, value) : undefined;
+            if (parsed === undefined) {
+                return ctx.reply(createTextMessage(`看不懂「${name}${value ? ` ${value}` : ''}」這個設定。\n\n${formatSettings(groupSettings.get(ctx.chatKey), prefix)}`));
+            }
+            logger.info('Updating group setting', { setting: key, value: parsed });
+            const updated = await groupSettings.update(ctx.chatKey, { [key]: parsed });
+            return ctx.reply(createTextMessage(formatSettings(updated, prefix)));
+        },
+    };
+}
+
+module.exports = { createSettingsCommand };
@@ -0,0 +1,102 @@
+'use strict';
+
+const { createTextMessage } = require('../photoMessages');
+const { parseTime, isValidTimeZone } = require('../subscriptions');
+const { DEFAULT_PREFIX, prefixedRegex } = require('../persona');
+const { logger } = require('../logger');
+
+const CONTENT_WORDS = {
+    金句: 'quote',
+    語錄: 'quote',
+    照片: 'photo',
+    全部: 'both',
+};
+const CONTENT_LABELS = { quote: '金句', photo: '照片', both: '照片和金句' };
+
+function usageText(prefix) {
+    return `用法：${prefix}，訂閱 [金句/照片/全部] [時間，例如 08:00] [時區，例如 Asia/Taipei]`;
+}
+
+// Parse "照片 20:30 Asia/Tokyo" in any order; returns null if a word is not understood
+function parseSubscriptionArgs(text) {
+    const options = {};
+    for (const word of (text || '').split(/\s+/).filter(Boolean)) {
+        if (CONTENT_WORDS[word]) {
+            options.content = CONTENT_WORDS[word];
+        } else if (parseTime(word)) {
+            options.time = parseTime(word);
+        } else if (word.includes('/') && isValidTimeZone(word)) {
+            options.timeZone = word;
+        } else {
+            return null;
+        }
+    }
+    return options;
+}
+
+// In groups with admins configured, only admins may change the subscription
+function isAllowed(source, adminUserIds) {
+    return source.type === 'user' || adminUserIds.length === 0 || adminUserIds.includes(source.userId);
+}
+
+// "院長，訂閱": subscribe this chat to a daily quote and/or photo pushed at a
+// set time. Options left out keep their current value, or the defaults for a
+// new subscription.
+function createSubscribeCommand({ subscriptions, adminUserIds = [], subscriptionDefaults, prefix = DEFAULT_PREFIX }) {
+    return {
+        name: 'subscribe',
+        usage: `${prefix}，訂閱`,
+        help: `每天定時收到${prefix}的金句或照片，例如「${prefix}，訂閱 照片 08:00」`,
+        trigger: { regex: prefixedRegex(prefix, /[，\s]訂閱(?:\s+(.+))?$/) },
+        async handler(ctx) {
+            const source = ctx.event.source;
+            if (!isAllowed(source, adminUserIds)) {
+                logger.info('Rejected subscription change from non-admin');
+                return ctx.reply(createTextMessage(`抱歉，只有管理員可以修改${prefix}的訂閱。`));
+            }
+            const options = parseSubscriptionArgs(ctx.match[1]);
+            if (!options) {
+                return ctx.reply(createTextMessage(`看不懂「${ctx.match[1]}」。\n${usageText(prefix)}`));
+            }
+            const current = subscriptions.get(ctx.chatKey) || subscriptionDefaults;
+            const subscription = await subscriptions.subscribe(ctx.chatKey, {
+                sourceType: source.type,
+                content: options.content || current.content,
+                time: options.time || current.time,
+                timeZone: options.timeZone || current.timeZone,
+            });
+            logger.info('Subscribed chat to daily push', {
+                content: subscription.content,
+                time: subscription.time,
+                timeZone: subscription.timeZone,
+            });
+            return ctx.reply(createTextMessage(
+                `好，${prefix}每天 ${subscription.time}（${subscription.timeZone}）會傳${CONTENT_LABELS[subscription.content]}過來！\n`
+                + `要取消請說「${prefix}，取消訂閱」。\n${usageText(prefix)}`
+            ));
+        },
+    };
+}
+
+// "院長，取消訂閱": stop the daily push for this chat
+function createUnsubscribeCommand({ subscriptions, adminUserIds = [], prefix = DEFAULT_PREFIX }) {
+    return {
+        name: 'unsubscribe',
+        usage: `${prefix}，取消訂閱`,
+        help: '不再收到每天的金句或照片',
+        trigger: { exact: [`${prefix}，取消訂閱`, `${prefix} 取消訂閱`] },
+        async handler(ctx) {
+            if (!isAllowed(ctx.event.source, adminUserIds)) {
+                logger.info('Rejected subscription change from non-admin');
+                return ctx.reply(createTextMessage(`抱歉，只有管理員可以修改${prefix}的訂閱。`));
+            }
+            const removed = await subscriptions.unsubscribe(ctx.chatKey);
+            logger.info('Unsubscribed chat from daily push', { removed });
+            return ctx.reply(createTextMessage(removed
+                ? `好，${prefix}以後不會每天傳訊息了，想我再說「${prefix}，訂閱」！`
+                : `這裡還沒有訂閱喔！說「${prefix}，訂閱」就可以每天收到${prefix}的金句。`));
+        },
+    };
+}
+
+module.exports = { createSubscribeCommand, createUnsubscribeCommand, parseSubscriptionArgs };
@@ -0,0 +1,276 @@
+'use strict';
+
+const {
+    isValidPhotoPath,
+    createImageMessage,
+    createTextMessage,
+} = require('../photoMessages');
+const { createPhotoCarousel } = require('../photoFlex');
+const { createQuickReplyItems, attachQuickReply } = require('../quickReplies');
+const { DEFAULT_PREFIX } = require('../persona');
+const { logger } = require('../logger');
+
+// Ask Gemini for up to three related keywords; returns [] on any failure or
+// when the tag looks like prompt injection
+async function expandKeywords(llm, prompts, moderator, persona, tagToSearch) {
+    if (!llm.enabled) {
+        logger.info('LLM disabled, skipping keyword expansion', { tag: tagToSearch });
+        return [];
+    }
+    const inputCheck = moderator.checkInput(tagToSearch);
+    if (!inputCheck.ok) {
+        logger.warn('Rejected tag before keyword expansion', { tag: tagToSearch, reason: inputCheck.reason });
+        return [];
+    }
+    try {
+        const prompt = prompts.render('keywordExpansion', { tagToSearch: moderator.sanitizeInput(tagToSearch) });
+        const geminiText = await llm.generate({ prompt: prompt.text });
+
+        if (!geminiText) {
+            logger.info('Gemini did not return keywords', { tag: tagToSearch });
+            return [];
+        }
+        const keywords = geminiText
+            .split(',')
+            .map(k => k.trim())
+            .filter(k => {
+                // 過濾條件：
+                // 1. 不為空
+                // 2. 長度在 1-6 個字之間
+                // 3. 不包含角色名字（例如韓國瑜）
+                // 4. 只允許繁體中文和數字
+                if (!k || k.length === 0) return false;
+                if (k.length < 1 || k.length > 6) return false;
+                if (k.includes(persona.name)) return false;
+                if (!/^[\u4e00-\u9fa50-9]+$/.test(k)) return false; // 只允許繁體中文和數字
+                return true;
+            })
+            .slice(0, 3); // 確保最多只有三個關鍵字
+
+        if (keywords.length > 0) {
+            logger.info('Gemini generated keywords', { tag: tagToSearch, promptVersion: prompt.version, keywords });
+        } else {
+            logger.info('No valid keywords generated after filtering', { tag: tagToSearch, promptVersion: prompt.version, rawKeywords: geminiText });
+        }
+        return keywords;
+    } catch (geminiApiError) {
+        logger.error('Error calling Gemini API for keyword expansion', { tag: tagToSearch, error: geminiApiError });
+        return []; // Proceed with empty keywords, will lead to fallback
+    }
+}
+
+// "院長，[tag]" / "院長 [tag]": search photos by tag, falling back to
+// Gemini keyword expansion and then a Gemini-generated Han-style reply.
+// Every search, typed or from a related-tag chip, is recorded in
+// searchAnalytics with its expanded keywords and the resolution it ended
+// with; "再一張" postbacks (marked more=1) repeat a search and are not
+// recorded again.
+function createTagSearchCommand({
+    llm,
+    prompts,
+    photoRepository,
+    photoPicker,
+    photoBaseUrl,
+    getQuotesString,
+    getMatchingQuote,
+    moderator,
+    tagRules,
+    searchAnalytics,
+    persona,
+    prefix = DEFAULT_PREFIX,
+    photoReplyMode = 'image',
+    flexMaxPhotos = 5,
+}) {
+    const quickReplyItems = createQuickReplyItems(prefix);
+
+    // Build the reply for the matching photos: one image, or a Flex carousel
+    // in "flex" mode. Returns null when no usable photo could be picked.
+    function buildPhotoReply(chatKey, tagToSearch, photos) {
+        if (photoReplyMode === 'flex') {
+            const validPhotos = photos.filter(isValidPhotoPath);
+            if (validPhotos.length === 0) {
+                logger.error('None of the photos has a valid path', { tag: tagToSearch, photoCount: photos.length });
+                return null;
+            }
+            const selectedPhotos = photoPicker.pickMany(chatKey, validPhotos, flexMaxPhotos, photo => photo.path);
+            logger.info('Replying with Flex carousel', { tag: tagToSearch, photos: selectedPhotos.map(photo => photo.path) });
+            return createPhotoCarousel({
+                photoBaseUrl,
+                photos: selectedPhotos,
+                tag: tagToSearch,
+                quote: getMatchingQuote(tagToSearch, chatKey),
+                prefix,
+            });
+        }
+
+        const randomPhoto = photoPicker.pick(chatKey, photos, photo => photo.path);
+        logger.info('Selected random photo', { tag: tagToSearch, photo: randomPhoto.path });
+        if (!isValidPhotoPath(randomPhoto)) {
+            logger.error('Invalid photo path format', { photo: randomPhoto.path });
+            return null;
+        }
+        const imageMessage = createImageMessage(photoBaseUrl, randomPhoto);
+        logger.info('Replying with image', { imageUrl: imageMessage.originalContentUrl });
+        return imageMessage;
+    }
+
+    // Campaign messages from tagRules.json, unless the group turned them off
+    function applyTagRules(ctx, tagToSearch, photoReply) {
+        return ctx.settings.campaigns ? tagRules.apply(tagToSearch, photoReply) : photoReply;
+    }
+
+    // Chips shown under a photo reply: another photo, a quote, and related tags
+    function withQuickReplies(tagToSearch, messages, relatedTags = []) {
+        return attachQuickReply(messages, [
+            quickReplyItems.moreTag(tagToSearch),
+            quickReplyItems.quote(),
+            ...relatedTags.map(quickReplyItems.relatedTag),
+        ]);
+    }
+
+    // Search all keywords in parallel; returns the reply for the first keyword (in order) with a usable photo, or null.
+    // The other keywords that have photos are offered as related-tag chips.
+    async function searchKeywords(ctx, tagToSearch, keywords, search) {
+        logger.info('Searching photos for Gemini keywords', { tag: tagToSearch, keywords });
+        const results = await photoRepository.searchMany(keywords);
+        for (const { keyword, photos: geminiPhotos, error } of results) {
+            if (error) {
+                logger.error('Error searching photos for Gemini keyword', { keyword, error });
+                continue; // Continue to the next keyword
+            }
+            if (geminiPhotos.length === 0) {
+                logger.info('No photos found for Gemini keyword', { keyword });
+                continue;
+            }
+            logger.info('Found photos for Gemini keyword', { keyword, photoCount: geminiPhotos.length });
+            const photoReply = buildPhotoReply(ctx.chatKey, tagToSearch, geminiPhotos);
+            if (!photoReply) {
+                continue; // Try next keyword
+            }
+            const relatedTags = results
+                .filter(result => result.keyword !== keyword && result.photos.length > 0)
+                .map(result => result.keyword);
+            search.hitKeyword = keyword;
+            logger.setResolution('gemini-keyword-search');
+            return withQuickReplies(tagToSearch, applyTagRules(ctx, tagToSearch, photoReply), relatedTags);
+        }
+        return null;
+    }
+
+    // Second Gemini call: respond ABOUT the tag, using the quotes most relevant
+    // to it for style. Rejected input or output falls back to a relevant quote.
+    async function generateTagResponse(chatKey, tagToSearch) {
+        if (!llm.enabled) {
+            logger.info('LLM disabled, using fixed message', { tag: tagToSearch });
+            logger.setResolution('fixed-fallback');
+            return createTextMessage(`${prefix}沒有在跟你${tagToSearch}的啦！`);
+        }
+        const inputCheck = moderator.checkInput(tagToSearch);
+        if (!inputCheck.ok) {
+            logger.warn('Rejected tag before generation, falling back to a quote', { tag: tagToSearch, reason: inputCheck.reason });
+            logger.setResolution('quote-fallback');
+            return createTextMessage(getMatchingQuote(tagToSearch, chatKey));
+        }
+        try {
+            const prompt = prompts.render('tagResponse', {
+                tagToSearch: moderator.sanitizeInput(tagToSearch),
+                koreanYuQuotesString: await getQuotesString(tagToSearch),
+            });
+            logger.info('Generating Gemini response about tag', { tag: tagToSearch, promptVersion: prompt.version });
+            const geminiText = await llm.generate({ prompt: prompt.text });
+
+            if (geminiText && geminiText.length > 0) {
+                const outputCheck = moderator.checkOutput(geminiText);
+                if (!outputCheck.ok) {
+                    logger.warn('Rejected Gemini response, falling back to a quote', { tag: tagToSearch, promptVersion: prompt.version, reason: outputCheck.reason, reply: geminiText });
+                    logger.setResolution('quote-fallback');
+                    return createTextMessage(getMatchingQuote(tagToSearch, chatKey));
+                }
+                logger.info('Gemini generated response about tag', { tag: tagToSearch, promptVersion: prompt.version, reply: geminiText });
+                logger.setResolution('gemini-text');
+                return createTextMessage(geminiText);
+            }
+            logger.info('Gemini returned empty response, using original fixed message', { tag: tagToSearch });
+        } catch (geminiResponseError) {
+            logger.error('Error during Gemini response generation, using original fixed message', { tag: tagToSearch, error: geminiResponseError });
+        }
+        logger.setResolution('fixed-fallback');
+        return createTextMessage(`${prefix}沒有在跟你${tagToSearch}的啦！`); // Original fixed fallback
+    }
+
+    // The search itself; `search` collects what searchAnalytics records
+    async function searchTag(ctx, search) {
+        const tagToSearch = ctx.args;
+        let photos;
+        try {
+            // 1. Fetch photo list from your API using the tag
+            logger.info('Searching photos for tag', { tag: tagToSearch });
+            photos = await photoRepository.search(tagToSearch); // API should return filtered photos
+        } catch (error) {
+            // Report errors from the *initial* tag search
+            let errorMessage = `抱歉，搜尋標籤「${tagToSearch}」時發生錯誤。`;
+            if (error.response) {
+                logger.error('Photo API error for tag search', { tag: tagToSearch, error, responseData: error.response.data });
+                errorMessage = `抱歉，搜尋標籤「${tagToSearch}」時無法從圖片庫取得資料。`;
+            } else if (error.request) {
+                logger.error('Photo API did not respond for tag search', { tag: tagToSearch, error });
+                errorMessage = `抱歉，搜尋標籤「${tagToSearch}」時無法連線到圖片庫。`;
+            } else {
+                logger.error('Error processing tag search request', { tag: tagToSearch, error });
+            }
+            logger.setResolution('error-message');
+            return ctx.reply(createTextMessage(errorMessage));
+        }
+
+        search.photoCount = photos.length;
+        if (photos.length > 0) {
+            logger.info('Found photos for tag', { tag: tagToSearch, photoCount: photos.length });
+            const photoReply = buildPhotoReply(ctx.chatKey, tagToSearch, photos);
+            if (!photoReply) {
+                logger.setResolution('error-message');
+                return ctx.reply(createTextMessage('抱歉，隨機選到的照片路徑格式錯誤。'));
+            }
+            logger.setResolution('tag-search');
+            return ctx.reply(withQuickReplies(tagToSearch, applyTagRules(ctx, tagToSearch, photoReply)));
+        }
+
+        // --- Gemini Keyword Search Logic ---
+        logger.info('No photos found for tag, attempting Gemini keyword expansion', { tag: tagToSearch });
+        const keywords = await expandKeywords(llm, prompts, moderator, persona, tagToSearch);
+        search.keywords = keywords;
+        const keywordReply = await searchKeywords(ctx, tagToSearch, keywords, search);
+        if (keywordReply) {
+            return ctx.reply(keywordReply);
+        }
+
+        logger.info('No photos found after Gemini keyword search, attempting Gemini response generation', { tag: tagToSearch });
+        return ctx.reply(await generateTagResponse(ctx.chatKey, tagToSearch));
+    }
+
+    return {
+        name: 'tagSearch',
+        usage: `${prefix}，[標籤]`,
+        help: `找一張符合標籤的${prefix}照片，例如「${prefix}，發大財」`,
+        trigger: { prefix: [`${prefix}，`, `${prefix} `] },
+        postbackAction: 'tag', // "再來一張" buttons re-run the search
+        cost: 'expensive',
+        async handler(ctx) {
+            // photoCount stays null when the photo API fails
+            const search = { tag: ctx.args, photoCount: null, keywords: [], hitKeyword: null };
+            try {
+                return await searchTag(ctx, search);
+            } finally {
+                if (!(ctx.params && ctx.params.get('more'))) {
+                    searchAnalytics.record({
+                        chatKey: ctx.chatKey,
+                        sourceType: ctx.event.source.type,
+                        ...search,
+                        resolution: logger.getSummary().resolution,
+                    });
+                }
+            }
+        },
+    };
+}
+
+module.exports = { createTagSearchCommand };
@@ -0,0 +1,102 @@
+'use strict';
+
+const { createTextMessage } = require('../photoMessages');
+const { formatCommandList } = require('./help');
+const { logger } = require('../logger');
+
+const MAX_MENTIONS = 20; // Keep the welcome readable when many members join at once
+
+// The greeting, followed by the command list when the occasion includes help
+function withHelp(welcomeMessages, occasion, text, registry, prefix) {
+    const messages = [createTextMessage(text)];
+    if (welcomeMessages.get(occasion).includeHelp) {
+        messages.push(createTextMessage(formatCommandList(registry, prefix)));
+    }
+    return messages;
+}
+
+function setWelcomeResolution(result) {
+    logger.setResolution(result.generated ? 'welcome-generated' : 'welcome');
+}
+
+// Follow (the bot was added as a friend): greet the user by name
+function createFollowWelcomeCommand({ welcomeMessages, client, registry, prefix }) {
+    async function getDisplayName(userId) {
+        try {
+            const profile = await client.getProfile(userId);
+            return profile.displayName || '';
+        } catch (error) {
+            logger.warn('Could not get the profile of a new friend', { error });
+            return '';
+        }
+    }
+
+    return {
+        name: 'welcomeFollow',
+        trigger: { eventTypes: ['follow'], sourceTypes: ['user'] },
+        exemptFromRateLimit: true,
+        async handler(ctx) {
+            const result = await welcomeMessages.greeting('follow', {
+                displayName: await getDisplayName(ctx.event.source.userId),
+            });
+            if (!result) return null;
+            setWelcomeResolution(result);
+            return ctx.reply(withHelp(welcomeMessages, 'follow', result.text, registry, prefix));
+        },
+    };
+}
+
+// Join (the bot was invited to a group or room): introduce the bot
+function createJoinWelcomeCommand({ welcomeMessages, registry, prefix }) {
+    return {
+        name: 'welcomeJoin',
+        trigger: { eventTypes: ['join'], sourceTypes: ['group', 'room'] },
+        exemptFromRateLimit: true,
+        async handler(ctx) {
+            const result = await welcomeMessages.greeting('join');
+            if (!result) return null;
+            setWelcomeResolution(result);
+            return ctx.reply(withHelp(welcomeMessages, 'join', result.text, registry, prefix));
+        },
+    };
+}
+
+// Member joined: welcome the new members with mentions ({userN} substitutions
+// in a textV2 message). A welcome sent counts against the group's reply limit.
+function createMemberJoinedWelcomeCommand({ welcomeMessages, groupSettings }) {
+    return {
+        name: 'welcomeMembers',
+        trigger: { eventTypes: ['memberJoined'], sourceTypes: ['group', 'room'] },
+        exemptFromRateLimit: true,
+        async handler(ctx) {
+            function limitReached() {
+                logger.info('Group reply limit reached, not welcoming new members');
+                logger.setResolution('rate-limited');
+                return null;
+            }
+            if (!groupSettings.hasReplyBudget(ctx.chatKey, ctx.settings.repliesPerMinute)) return limitReached();
+            const members = ctx.event.joined.members.filter(member => member.userId).slice(0, MAX_MENTIONS);
+            const mentions = members.map((member, i) => `{user${i}}`).join(' ');
+
+            const result = await welcomeMessages.greeting('memberJoined', { members: mentions });
+            if (!result) return null;
+            // Only a welcome actually sent counts against the limit
+            if (!groupSettings.tryConsumeReply(ctx.chatKey, ctx.settings.repliesPerMinute)) return limitReached();
+            setWelcomeResolution(result);
+            // Braces are substitution syntax in textV2, so generated text must not contain any
+            const text = result.generated ? `${mentions} ${result.text.replace(/[{}]/g, '')}`.trim() : result.text;
+            const substitution = {};
+            members.forEach((member, i) => {
+                if (text.includes(`{user${i}}`)) {
+                    substitution[`user${i}`] = { type: 'mention', mentionee: { type: 'user', userId: member.userId } };
+                }
+            });
+            if (Object.keys(substitution).length === 0) {
+                return ctx.reply(createTextMessage(text));
+            }
+            return ctx.reply({ type: 'textV2', text, substitution });
+        },
+    };
+}
+
+module.exports = { createFollowWelcomeCommand, createJoinWelcomeCommand, createMemberJoinedWelcomeCommand };
@@ -0,0 +1,364 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseTime, isValidTimeZone } = require('./subscriptions');
+const { DEFAULT_PREFIX, DEFAULT_PERSONA } = require('./persona');
+
+// --- Configuration ---
+// Reads every setting from environment variables into one plain object, so
+// the app can also be built from a config written by hand (e.g. in tests).
+// Throws when a required setting is missing.
+
+function readInt(env, name, defaultValue) {
+    const value = parseInt(env[name], 10);
+    return Number.isNaN(value) ? defaultValue : value;
+}
+
+function readFloat(env, name, defaultValue) {
+    const value = parseFloat(env[name]);
+    return Number.isNaN(value) ? defaultValue : value;
+}
+
+// LINE accepts 5 to 60 seconds in steps of 5
+function readLoadingSeconds(env) {
+    const seconds = readInt(env, 'LOADING_ANIMATION_SECONDS', 20);
+    if (seconds <= 0) return 0;
+    return Math.min(Math.max(Math.round(seconds / 5) * 5, 5), 60);
+}
+
+function loadConfig(env = process.env, { rootDir = path.join(__dirname, '..') } = {}) {
+    const missing = ['LINE_CHANNEL_ACCESS_TOKEN', 'LINE_CHANNEL_SECRET', 'PHOTO_API_URL', 'PHOTO_BASE_URL']
+        .filter(name => !env[name]);
+    if (missing.length > 0) {
+        throw new Error(`${missing.join(', ')} must be set in .env file.`);
+    }
+    const dataDir = env.DATA_DIR || path.join(rootDir, 'data');
+
+    return {
+        port: env.PORT || 3001, // Fly.io sets the PORT env var
+        line: {
+            channelAccessToken: env.LINE_CHANNEL_ACCESS_TOKEN,
+            channelSecret: env.LINE_CHANNEL_SECRET,
+            botUserId: env.BOT_USER_ID, // Fallback for detecting @-mentions of the bot
+        },
+
+        // Which bot this is when several share the server (see loadBotConfigs):
+        //   BOT_ID: names the bot in logs and health checks (default "default")
+        //   WEBHOOK_PATH: the bot's webhook (default /webhook)
+        //   BOT_BASE_PATH: prefix for its admin API and meme images (default none: /admin, /memes)
+        //   BOT_PREFIX: how commands address the bot instead of "院長", e.g. "市長，金句"
+        // DATA_DIR holds the bot's state files (default data/).
+        bot: {
+            id: env.BOT_ID || 'default',
+            webhookPath: env.WEBHOOK_PATH || '/webhook',
+            basePath: (env.BOT_BASE_PATH || '').replace(/\/+$/, ''),
+            prefix: env.BOT_PREFIX || DEFAULT_PREFIX,
+        },
+        // BOT_PERSONA opens every generation prompt (default: imitate 韓國瑜); BOT_PERSONA_NAME
+        // is who the prompts' style examples are from, and is kept out of search keywords
+        persona: {
+            name: env.BOT_PERSONA_NAME || DEFAULT_PERSONA.name,
+            prompt: env.BOT_PERSONA || DEFAULT_PERSONA.prompt,
+        },
+
+        // Optional tuning: PHOTO_API_TIMEOUT_MS, PHOTO_API_RETRIES, PHOTO_CACHE_TTL_SECONDS.
+        // PHOTO_REPLY_MODE: "image" (default, one photo) or "flex" (carousel of up to FLEX_MAX_PHOTOS photos)
+        // The local search index syncs every PHOTO_INDEX_SYNC_MINUTES (default 10, 0 disables it);
+        // matches scoring below PHOTO_INDEX_MIN_SCORE (0-1, default 0.5) go to the API instead.
+        // PHOTO_SYNONYMS_FILE lists synonym groups for the index.
+        photos: {
+            apiUrl: env.PHOTO_API_URL,
+            baseUrl: env.PHOTO_BASE_URL,
+            timeoutMs: readInt(env, 'PHOTO_API_TIMEOUT_MS', 3000),
+            retries: readInt(env, 'PHOTO_API_RETRIES', 2),
+            cacheTtlMs: readInt(env, 'PHOTO_CACHE_TTL_SECONDS', 300) * 1000,
+            replyMode: env.PHOTO_REPLY_MODE === 'flex' ? 'flex' : 'image',
+            flexMaxPhotos: Math.min(Math.max(readInt(env, 'FLEX_MAX_PHOTOS', 5), 1), 12),
+            index: {
+                syncIntervalMs: readInt(env, 'PHOTO_INDEX_SYNC_MINUTES', 10) * 60 * 1000,
+                minScore: readFloat(env, 'PHOTO_INDEX_MIN_SCORE', 0.5),
+                synonymsFile: env.PHOTO_SYNONYMS_FILE || path.join(rootDir, 'synonyms.json'),
+            },
+        },
+
+        // LLM_PROVIDER: "gemini", "openai" (any OpenAI-compatible endpoint, e.g. a local model server),
+        // "mock" or "none". Defaults to gemini when GEMINI_API_KEY is set, otherwise none.
+        // Optional: LLM_MODEL, LLM_TEMPERATURE, LLM_MAX_TOKENS, OPENAI_BASE_URL, OPENAI_API_KEY.
+        // LLM_EMBEDDING_MODEL: embedding model (gemini defaults to text-embedding-004; openai has none by default)
+        // LLM_DAILY_QUOTA: LLM calls per day across all chats (default 1000), counted in LLM_QUOTA_TIMEZONE
+        llm: {
+            provider: env.LLM_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : 'none'),
+            apiKey: env.LLM_PROVIDER === 'openai' ? env.OPENAI_API_KEY : env.GEMINI_API_KEY,
+            baseUrl: env.OPENAI_BASE_URL,
+            model: env.LLM_MODEL || undefined,
+            embeddingModel: env.LLM_EMBEDDING_MODEL || undefined,
+            temperature: readFloat(env, 'LLM_TEMPERATURE'),
+            maxTokens: readInt(env, 'LLM_MAX_TOKENS', undefined),
+            dailyQuota: readInt(env, 'LLM_DAILY_QUOTA', 1000),
+            quotaTimeZone: env.LLM_QUOTA_TIMEZONE || 'Asia/Taipei',
+        },
+
+        // Budgets are per RATE_LIMIT_WINDOW_SECONDS (default 60); 0 disables a limit.
+        //   RATE_LIMIT_CHEAP_PER_USER / RATE_LIMIT_CHEAP_PER_CHAT:         quotes, photos (default 20 / 60)
+        //   RATE_LIMIT_EXPENSIVE_PER_USER / RATE_LIMIT_EXPENSIVE_PER_CHAT: commands that may call the LLM (default 5 / 15)
+        rateLimits: {
+            windowMs: readInt(env, 'RATE_LIMIT_WINDOW_SECONDS', 60) * 1000,
+            cheap: {
+                perUser: readInt(env, 'RATE_LIMIT_CHEAP_PER_USER', 20),
+                perChat: readInt(env, 'RATE_LIMIT_CHEAP_PER_CHAT', 60),
+            },
+            expensive: {
+                perUser: readInt(env, 'RATE_LIMIT_EXPENSIVE_PER_USER', 5),
+                perChat: readInt(env, 'RATE_LIMIT_EXPENSIVE_PER_CHAT', 15),
+            },
+        },
+
+        // QUOTE_STYLE_MODE ("relevant" (default), "random", "first" or "selected") and
+        // QUOTE_STYLE_MAX_CHARS choose which quotes are sent to the LLM as style examples;
+        // "relevant" sends the QUOTE_STYLE_TOP_K (default 5) quotes most relevant to the message.
+        // QUOTE_EMBEDDINGS=false ranks quotes without the LLM provider's embeddings.
+        quotes: {
+            filePath: env.QUOTES_FILE || path.join(rootDir, 'quotes.json'),
+            settingsFile: env.QUOTE_SETTINGS_FILE || path.join(dataDir, 'quoteSettings.json'),
+            styleMode: env.QUOTE_STYLE_MODE || 'relevant',
+            styleMaxChars: readInt(env, 'QUOTE_STYLE_MAX_CHARS', 1500),
+            styleTopK: Math.max(readInt(env, 'QUOTE_STYLE_TOP_K', 5), 1),
+            embeddings: env.QUOTE_EMBEDDINGS !== 'false',
+        },
+
+        // Photos and quotes avoid repeating per chat. PICKER_MODE: "cycle" (default) or "weighted"
+        pickerMode: env.PICKER_MODE || 'cycle',
+
+        // CONVERSATION_STORE: "memory" (default) or "file" (persisted to CONVERSATION_FILE)
+        conversation: {
+            store: env.CONVERSATION_STORE === 'file' ? 'file' : 'memory',
+            filePath: env.CONVERSATION_FILE || path.join(dataDir, 'conversations.json'),
+            maxTurns: readInt(env, 'CONVERSATION_MAX_TURNS', 6),
+            maxAgeMs: readInt(env, 'CONVERSATION_MAX_AGE_MINUTES', 30) * 60 * 1000,
+        },
+
+        promptsDir: env.PROMPTS_DIR || path.join(rootDir, 'prompts'),
+        tagRulesFile: env.TAG_RULES_FILE || path.join(rootDir, 'tagRules.json'),
+        moderationFile: env.MODERATION_FILE || path.join(rootDir, 'moderation.json'),
+        stickerKeywordsFile: env.STICKER_KEYWORDS_FILE || path.join(rootDir, 'stickerKeywords.json'),
+        maxImageBytes: readInt(env, 'MAX_IMAGE_BYTES', 5 * 1024 * 1024),
+
+        // ADMIN_USER_IDS (comma-separated) are the users who may change group settings
+        // (nobody when empty) and group subscriptions (anyone when empty)
+        groupSettingsFile: env.GROUP_SETTINGS_FILE || path.join(dataDir, 'groupSettings.json'),
+        adminUserIds: (env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+
+        // Daily pushes for "院長，訂閱", persisted to SUBSCRIPTIONS_FILE. New subscriptions
+        // get SUBSCRIPTION_DEFAULT_TIME (default 08:00) in SUBSCRIPTION_DEFAULT_TIMEZONE
+        // (default Asia/Taipei, also used for an unknown time zone).
+        // Failed pushes are retried up to SUBSCRIPTION_MAX_ATTEMPTS times, backing off
+        // from SUBSCRIPTION_RETRY_DELAY_SECONDS.
+        subscriptions: {
+            filePath: env.SUBSCRIPTIONS_FILE || path.join(dataDir, 'subscriptions.json'),
+            defaults: {
+                content: 'quote',
+                time: parseTime(env.SUBSCRIPTION_DEFAULT_TIME || '') || '08:00',
+                timeZone: env.SUBSCRIPTION_DEFAULT_TIMEZONE && isValidTimeZone(env.SUBSCRIPTION_DEFAULT_TIMEZONE)
+                    ? env.SUBSCRIPTION_DEFAULT_TIMEZONE
+                    : 'Asia/Taipei',
+            },
+            checkIntervalMs: readInt(env, 'SUBSCRIPTION_CHECK_INTERVAL_SECONDS', 30) * 1000,
+            maxAttempts: readInt(env, 'SUBSCRIPTION_MAX_ATTEMPTS', 3),
+            retryDelayMs: readInt(env, 'SUBSCRIPTION_RETRY_DELAY_SECONDS', 60) * 1000,
+        },
+
+        // Greetings for follow, join and memberJoined events (WELCOME_FILE), and the
+        // chats the bot is in, persisted to ACTIVE_CHATS_FILE
+        welcomeFile: env.WELCOME_FILE || path.join(rootDir, 'welcome.json'),
+        activeChatsFile: env.ACTIVE_CHATS_FILE || path.join(dataDir, 'activeChats.json'),
+
+        // The webhook is acknowledged at once and its events handled in the background.
+        //   WEBHOOK_DEDUPE_TTL_SECONDS: how long handled webhookEventIds are remembered (default 3600)
+        //   REPLY_TOKEN_TTL_SECONDS: events older than this are answered with a push message (default 50)
+        //   LOADING_ANIMATION_SECONDS: loading animation in one-on-one chats while the LLM works
+        //     (5-60 in steps of 5, default 20; 0 disables)
+        delivery: {
+            dedupeTtlMs: readInt(env, 'WEBHOOK_DEDUPE_TTL_SECONDS', 3600) * 1000,
+            replyTokenTtlMs: readInt(env, 'REPLY_TOKEN_TTL_SECONDS', 50) * 1000,
+            loadingSeconds: readLoadingSeconds(env),
+        },
+
+        // "院長，梗圖" renders memes into MEME_CACHE_DIR and serves them at PUBLIC_BASE_URL/memes/
+        // (the https URL of this server); it is disabled without PUBLIC_BASE_URL. Memes unused
+        // for MEME_RETENTION_HOURS (default 72) are deleted. The caption style:
+        //   MEME_FONT (font family, default Noto Sans CJK TC), MEME_FONT_SCALE (of the image width,
+        //   default 0.08), MEME_TEXT_COLOR / MEME_STROKE_COLOR (default white / black),
+        //   MEME_STROKE_SCALE (of the font size, default 0.12), MEME_POSITION ("bottom" or "top"),
+        //   MEME_MAX_LINES (default 3)
+        memes: {
+            publicBaseUrl: (env.PUBLIC_BASE_URL || '').replace(/\/+$/, '') || null,
+            cacheDir: env.MEME_CACHE_DIR || path.join(dataDir, 'memes'),
+            retentionMs: readInt(env, 'MEME_RETENTION_HOURS', 72) * 60 * 60 * 1000,
+            style: {
+                fontFamily: env.MEME_FONT || 'Noto Sans CJK TC',
+                fontScale: readFloat(env, 'MEME_FONT_SCALE', 0.08),
+                fill: env.MEME_TEXT_COLOR || '#ffffff',
+                stroke: env.MEME_STROKE_COLOR || '#000000',
+                strokeScale: readFloat(env, 'MEME_STROKE_SCALE', 0.12),
+                position: env.MEME_POSITION === 'top' ? 'top' : 'bottom',
+                maxLines: Math.max(readInt(env, 'MEME_MAX_LINES', 3), 1),
+            },
+        },
+
+        // Every "院長，[tag]" search is recorded to SEARCH_ANALYTICS_FILE for the admin search report,
+        // kept for SEARCH_ANALYTICS_RETENTION_DAYS (default 90); report dates are in SEARCH_REPORT_TIMEZONE
+        searchAnalytics: {
+            filePath: env.SEARCH_ANALYTICS_FILE || path.join(dataDir, 'searches.jsonl'),
+            retentionDays: readInt(env, 'SEARCH_ANALYTICS_RETENTION_DAYS', 90),
+            timeZone: env.SEARCH_REPORT_TIMEZONE || 'Asia/Taipei',
+        },
+
+        // The admin API is enabled when ADMIN_API_TOKEN is set
+        adminApiToken: env.ADMIN_API_TOKEN || null,
+        // READY_REQUIRE_LLM=true makes /readyz fail without an LLM provider
+        readyRequireLlm: env.READY_REQUIRE_LLM === 'true',
+    };
+}
+
+// --- Bots File ---
+// BOTS_FILE serves several LINE channels from one server. It holds a JSON
+// array with one object per bot; each key stands for a setting above, and
+// "env" may set any other one:
+//
+//   [
+//     {
+//       "id": "han",
+//       "channelAccessToken": "${LINE_CHANNEL_ACCESS_TOKEN}",
+//       "channelSecret": "${LINE_CHANNEL_SECRET}",
+//       "basePath": "",
+//       "dataDir": "data"
+//     },
+//     {
+//       "id": "mayor",
+//       "webhookPath": "/webhook/mayor",
+//       "channelAccessToken": "${MAYOR_LINE_CHANNEL_ACCESS_TOKEN}",
+//       "channelSecret": "${MAYOR_LINE_CHANNEL_SECRET}",
+//       "quotesFile": "mayor/quotes.json",
+//       "prefix": "市長",
+//       "personaName": "...",
+//       "persona": "你是一個模仿...的聊天機器人。",
+//       "env": { "LLM_DAILY_QUOTA": "200" }
+//     }
+//   ]
+//
+// "${NAME}" in a value is replaced by that environment variable, so secrets
+// can stay out of the file. Relative "quotesFile", "tagRulesFile" and
+// "dataDir" paths are resolved against the app directory, not the working
+// directory. Bots inherit the environment except the LINE
+// channel, the paths and the state files listed in BOT_OWN_SETTINGS; their
+// state goes to data/<id>/ and their admin API and memes to /bots/<id>/
+// unless "dataDir" and "basePath" say otherwise. The admin API rewrites the
+// quotes and tag rules files, so bots with ADMIN_API_TOKEN set cannot share
+// them; give such bots their own "quotesFile" and "tagRulesFile".
+
+const BOT_KEYS = {
+    id: 'BOT_ID',
+    webhookPath: 'WEBHOOK_PATH',
+    basePath: 'BOT_BASE_PATH',
+    prefix: 'BOT_PREFIX',
+    channelAccessToken: 'LINE_CHANNEL_ACCESS_TOKEN',
+    channelSecret: 'LINE_CHANNEL_SECRET',
+    botUserId: 'BOT_USER_ID',
+    photoApiUrl: 'PHOTO_API_URL',
+    photoBaseUrl: 'PHOTO_BASE_URL',
+    quotesFile: 'QUOTES_FILE',
+    tagRulesFile: 'TAG_RULES_FILE',
+    personaName: 'BOT_PERSONA_NAME',
+    persona: 'BOT_PERSONA',
+    dataDir: 'DATA_DIR',
+};
+
+const BOT_PATH_KEYS = ['quotesFile', 'tagRulesFile', 'dataDir'];
+
+const BOT_OWN_SETTINGS = [
+    'BOT_ID', 'WEBHOOK_PATH', 'BOT_BASE_PATH', 'DATA_DIR',
+    'LINE_CHANNEL_ACCESS_TOKEN', 'LINE_CHANNEL_SECRET', 'BOT_USER_ID',
+    'QUOTE_SETTINGS_FILE', 'CONVERSATION_FILE', 'GROUP_SETTINGS_FILE', 'SUBSCRIPTIONS_FILE',
+    'ACTIVE_CHATS_FILE', 'MEME_CACHE_DIR', 'SEARCH_ANALYTICS_FILE',
+];
+
+function expandEnvReferences(value, env) {
+    return String(value).replace(/\$\{(\w+)\}/g, (reference, name) => env[name] || '');
+}
+
+// The settings of one bots file entry, on top of the inherited environment
+function readBotEnv(entry, env, rootDir) {
+    const botEnv = { ...env };
+    BOT_OWN_SETTINGS.forEach(name => delete botEnv[name]);
+    botEnv.DATA_DIR = path.join(rootDir, 'data', entry.id);
+    botEnv.BOT_BASE_PATH = `/bots/${entry.id}`;
+    for (const [key, value] of Object.entries(entry)) {
+        if (key === 'env') continue;
+        if (!BOT_KEYS[key]) {
+            throw new Error(`Bot "${entry.id}" has an unknown setting "${key}".`);
+        }
+        const expanded = expandEnvReferences(value, env);
+        botEnv[BOT_KEYS[key]] = BOT_PATH_KEYS.includes(key) ? path.resolve(rootDir, expanded) : expanded;
+    }
+    for (const [name, value] of Object.entries(entry.env || {})) {
+        botEnv[name] = expandEnvReferences(value, env);
+    }
+    return botEnv;
+}
+
+function findDuplicate(values) {
+    return values.find((value, i) => values.indexOf(value) !== i);
+}
+
+// A file the admin API of one bot rewrites while another bot uses it, or undefined
+function findSharedEditableFile(configs, getFile) {
+    return configs
+        .filter(config => config.adminApiToken)
+        .map(getFile)
+        .find(file => configs.filter(config => getFile(config) === file).length > 1);
+}
+
+// One config per bot: from BOTS_FILE when it is set, otherwise the single
+// bot configured by the environment. Throws on an invalid file.
+function loadBotConfigs(env = process.env, { rootDir = path.join(__dirname, '..') } = {}) {
+    if (!env.BOTS_FILE) {
+        return [loadConfig(env, { rootDir })];
+    }
+    const entries = JSON.parse(fs.readFileSync(env.BOTS_FILE, 'utf8'));
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error(`${env.BOTS_FILE} must hold a non-empty array of bots.`);
+    }
+    const configs = entries.map((entry, index) => {
+        if (!entry || !/^[\w-]+$/.test(entry.id || '')) {
+            throw new Error(`Bot #${index + 1} in ${env.BOTS_FILE} needs an id of letters, digits, _ or -.`);
+        }
+        try {
+            return loadConfig(readBotEnv(entry, env, rootDir), { rootDir });
+        } catch (err) {
+            throw new Error(`Bot "${entry.id}": ${err.message}`);
+        }
+    });
+    for (const [label, values] of [
+        ['id', configs.map(config => config.bot.id)],
+        ['webhookPath', configs.map(config => config.bot.webhookPath)],
+        ['basePath', configs.map(config => config.bot.basePath)],
+    ]) {
+        const duplicate = findDuplicate(values);
+        if (duplicate !== undefined) {
+            throw new Error(`Bots in ${env.BOTS_FILE} share the ${label} "${duplicate}".`);
+        }
+    }
+    for (const [label, getFile] of [
+        ['quotesFile', config => path.resolve(config.quotes.filePath)],
+        ['tagRulesFile', config => path.resolve(config.tagRulesFile)],
+    ]) {
+        const shared = findSharedEditableFile(configs, getFile);
+        if (shared !== undefined) {
+            throw new Error(`Bots in ${env.BOTS_FILE} share the ${label} "${shared}", which the admin API rewrites; give each bot its own ${label}.`);
+        }
+    }
+    return configs;
+}
+
+module.exports = { loadConfig, loadBotConfigs };
@@ -0,0 +1,43 @@
+'use strict';
+
+// --- Conversation Memory ---
+// Keeps recent one-on-one exchanges so Gemini can follow up on earlier
+// messages. History is bounded by number of exchanges and by age.
+
+function createConversationMemory({ store, maxTurns = 6, maxAgeMs = 30 * 60 * 1000, now = Date.now }) {
+    // Drop expired turns and keep the newest `maxTurns` user/model pairs
+    function prune(turns) {
+        const cutoff = now() - maxAgeMs;
+        let recent = turns.filter(turn => turn.at >= cutoff);
+        recent = recent.slice(-maxTurns * 2);
+        // Chat history must start with a user turn (required by Gemini)
+        while (recent.length > 0 && recent[0].role !== 'user') {
+            recent = recent.slice(1);
+        }
+        return recent;
+    }
+
+    // History in the format expected by llm.generate({ history })
+    async function getHistory(key) {
+        const turns = prune(await store.get(key));
+        return turns.map(turn => ({ role: turn.role, text: turn.text }));
+    }
+
+    // Record one exchange: the user's message and the bot's reply
+    async function record(key, userText, modelText) {
+        const at = now();
+        const turns = prune(await store.get(key)).concat(
+            { role: 'user', text: userText, at },
+            { role: 'model', text: modelText, at }
+        );
+        await store.set(key, prune(turns));
+    }
+
+    async function clear(key) {
+        await store.clear(key);
+    }
+
+    return { getHistory, record, clear };
+}
+
+module.exports = { createConversationMemory };
@@ -0,0 +1,44 @@
+'use strict';
+
+const { createJsonFileStore } = require('./jsonFileStore');
+
+// --- Conversation Stores ---
+// A store keeps a list of turns per conversation key. Every store implements:
+//   async get(key)           -> [{ role: 'user' | 'model', text, at }]
+//   async set(key, turns)    -> void
+//   async clear(key)         -> void
+
+function createMemoryConversationStore() {
+    const conversations = new Map();
+
+    return {
+        async get(key) {
+            return conversations.get(key) || [];
+        },
+        async set(key, turns) {
+            conversations.set(key, turns);
+        },
+        async clear(key) {
+            conversations.delete(key);
+        },
+    };
+}
+
+// Persists all conversations to a single JSON file so history survives restarts
+function createFileConversationStore({ filePath }) {
+    const file = createJsonFileStore({ filePath, label: 'conversation' });
+
+    return {
+        async get(key) {
+            return file.get(key) || [];
+        },
+        async set(key, turns) {
+            await file.set(key, turns);
+        },
+        async clear(key) {
+            await file.delete(key);
+        },
+    };
+}
+
+module.exports = { createMemoryConversationStore, createFileConversationStore };
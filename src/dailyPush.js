@@ -0,0 +1,35 @@
+'use strict';
+
+const { isValidPhotoPath, createImageMessage, createTextMessage } = require('./photoMessages');
+
+// --- Daily Push ---
+// Builds and pushes a subscription's daily messages: a random photo from the
+// whole library and/or a quote, picked per chat like replies are. Rejects
+// when nothing could be built or the push API fails, so the scheduler retries.
+function createDailyPush({ client, photoRepository, photoPicker, photoBaseUrl, getRandomQuote }) {
+    async function buildMessages({ chatKey, content }) {
+        const messages = [];
+        if (content === 'photo' || content === 'both') {
+            const photos = (await photoRepository.listAll()).filter(isValidPhotoPath);
+            if (photos.length > 0) {
+                messages.push(createImageMessage(photoBaseUrl, photoPicker.pick(chatKey, photos, photo => photo.path)));
+            }
+        }
+        if (content === 'quote' || content === 'both') {
+            messages.push(createTextMessage(getRandomQuote(chatKey)));
+        }
+        return messages;
+    }
+
+    async function deliver(subscription) {
+        const messages = await buildMessages(subscription);
+        if (messages.length === 0) {
+            throw new Error('No photos available for the daily push');
+        }
+        return client.pushMessage(subscription.chatKey, messages);
+    }
+
+    return { deliver, buildMessages };
+}
+
+module.exports = { createDailyPush };
@@ -0,0 +1,62 @@
+'use strict';
+
+const { createTtlCache } = require('./ttlCache');
+const { logger } = require('./logger');
+const { metrics: sharedMetrics } = require('./metrics');
+
+// --- Event Queue ---
+// The webhook acknowledges LINE right away and hands its events to this queue,
+// which runs them in the background. LINE redelivers a webhook it did not get
+// a 200 for (marked deliveryContext.isRedelivery), so the same event can
+// arrive twice: events are deduplicated by webhookEventId for `dedupeTtlMs`.
+// An event whose handling fails is forgotten, so its redelivery is handled
+// again. Seen ids are kept in memory, so a redelivery after a restart is handled
+// again; its reply then falls back to a push message (see ./replyDelivery).
+
+function createEventQueue({ handleEvent, dedupeTtlMs = 60 * 60 * 1000, maxEntries = 10000, metrics = sharedMetrics }) {
+    const seen = createTtlCache({ ttlMs: dedupeTtlMs, maxEntries });
+    const pending = new Set();
+
+    // Returns false for an event that was already queued
+    function claim(event) {
+        const id = event.webhookEventId;
+        if (!id) return true;
+        if (seen.has(id)) return false;
+        seen.set(id, true);
+        return true;
+    }
+
+    function enqueue(events) {
+        for (const event of events) {
+            const isRedelivery = Boolean(event.deliveryContext && event.deliveryContext.isRedelivery);
+            if (!claim(event)) {
+                logger.info('Skipping duplicate webhook event', { webhookEventId: event.webhookEventId, isRedelivery });
+                metrics.duplicateEvents.inc({ redelivery: isRedelivery });
+                continue;
+            }
+            if (isRedelivery) {
+                logger.info('Handling redelivered webhook event', { webhookEventId: event.webhookEventId });
+            }
+            // Failures are logged by handleEvent; nothing is waiting for the result
+            const task = Promise.resolve()
+                .then(() => handleEvent(event))
+                .catch(() => {
+                    if (event.webhookEventId) seen.delete(event.webhookEventId);
+                })
+                .finally(() => pending.delete(task));
+            pending.add(task);
+        }
+    }
+
+    // Resolves once every queued event has been handled, including events
+    // queued while waiting (used by tests and on shutdown)
+    async function idle() {
+        while (pending.size > 0) {
+            await Promise.all(Array.from(pending));
+        }
+    }
+
+    return { enqueue, idle, get size() { return pending.size; } };
+}
+
+module.exports = { createEventQueue };
@@ -0,0 +1,59 @@
+'use strict';
+
+// --- Group Settings ---
+// Per-group/room settings, keyed by groupId or roomId. One-on-one chats
+// always use the defaults.
+//   freeChat:           reply with a Han-style message when the bot is @-mentioned
+//   campaigns:          append special-tag campaign messages (tagRules.json)
+//   repliesPerMinute:   maximum bot replies per minute in the chat (0 = unlimited)
+
+const DEFAULT_SETTINGS = Object.freeze({
+    freeChat: true,
+    campaigns: true,
+    repliesPerMinute: 0,
+});
+
+function createGroupSettings({ store, defaults = DEFAULT_SETTINGS, now = Date.now }) {
+    const replyTimes = new Map(); // chatKey -> timestamps of recent replies
+
+    function get(chatKey) {
+        return { ...defaults, ...(chatKey && store.get(chatKey)) };
+    }
+
+    async function update(chatKey, patch) {
+        const updated = { ...(store.get(chatKey) || {}), ...patch };
+        await store.set(chatKey, updated);
+        return { ...defaults, ...updated };
+    }
+
+    async function reset(chatKey) {
+        await store.delete(chatKey);
+        return { ...defaults };
+    }
+
+    // Sliding one-minute window per chat: the times of the chat's recent replies
+    function recentReplies(chatKey) {
+        const windowStart = now() - 60 * 1000;
+        const recent = (replyTimes.get(chatKey) || []).filter(time => time > windowStart);
+        replyTimes.set(chatKey, recent);
+        return recent;
+    }
+
+    // Whether the chat has reply budget left, without counting a reply
+    function hasReplyBudget(chatKey, repliesPerMinute) {
+        if (!repliesPerMinute || repliesPerMinute <= 0) return true;
+        return recentReplies(chatKey).length < repliesPerMinute;
+    }
+
+    // Returns false when the chat has already used its reply budget;
+    // otherwise counts this reply.
+    function tryConsumeReply(chatKey, repliesPerMinute) {
+        if (!hasReplyBudget(chatKey, repliesPerMinute)) return false;
+        if (repliesPerMinute > 0) recentReplies(chatKey).push(now());
+        return true;
+    }
+
+    return { get, update, reset, hasReplyBudget, tryConsumeReply };
+}
+
+module.exports = { createGroupSettings, DEFAULT_SETTINGS };
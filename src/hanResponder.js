@@ -0,0 +1,60 @@
+'use strict';
+
+const { logger } = require('./logger');
+
+// --- Han-style Responder ---
+// Generates a new Han-style reply to a free-text message with the
+// "chatResponse" prompt, with the quotes most relevant to the message as
+// style examples. When a history key is given, the conversation memory for
+// that key is sent along and the exchange is recorded. Input that looks like
+// prompt injection is not sent to the LLM, and a generated reply that fails
+// moderation is replaced by the most relevant real quote.
+
+function createHanResponder({ llm, prompts, getQuotesString, conversationMemory, moderator, getMatchingQuote }) {
+    // Returns the reply text, or null when the LLM is disabled, fails or returns nothing
+    async function respond(messageText, { historyKey = null, chatKey = historyKey } = {}) {
+        if (!llm.enabled) {
+            logger.info('LLM disabled, skipping Gemini response', { text: messageText });
+            return null;
+        }
+        const inputCheck = moderator.checkInput(messageText);
+        if (!inputCheck.ok) {
+            logger.warn('Rejected user message before generation, falling back to a quote', { text: messageText, reason: inputCheck.reason });
+            logger.setResolution('quote-fallback');
+            return getMatchingQuote(messageText, chatKey);
+        }
+        try {
+            const history = historyKey ? await conversationMemory.getHistory(historyKey) : [];
+            const prompt = prompts.render('chatResponse', {
+                messageText: moderator.sanitizeInput(messageText),
+                koreanYuQuotesString: await getQuotesString(messageText),
+            });
+            logger.info('Generating Gemini response for user message', { promptVersion: prompt.version, historyEntries: history.length });
+            const geminiText = await llm.generate({ prompt: prompt.text, history });
+
+            if (geminiText && geminiText.length > 0) {
+                const outputCheck = moderator.checkOutput(geminiText);
+                if (!outputCheck.ok) {
+                    logger.warn('Rejected Gemini response, falling back to a quote', { text: messageText, promptVersion: prompt.version, reason: outputCheck.reason, reply: geminiText });
+                    logger.setResolution('quote-fallback');
+                    return getMatchingQuote(messageText, chatKey);
+                }
+                logger.info('Gemini generated response for user message', { text: messageText, promptVersion: prompt.version, reply: geminiText });
+                logger.setResolution('gemini-text');
+                if (historyKey) {
+                    // Store the plain message rather than the full prompt to keep history small
+                    await conversationMemory.record(historyKey, messageText, geminiText);
+                }
+                return geminiText;
+            }
+            logger.info('Gemini returned empty response for user message', { text: messageText });
+        } catch (geminiResponseError) {
+            logger.error('Error during Gemini response generation for user message', { text: messageText, error: geminiResponseError });
+        }
+        return null;
+    }
+
+    return { respond };
+}
+
+module.exports = { createHanResponder };
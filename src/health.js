@@ -0,0 +1,62 @@
+'use strict';
+
+const express = require('express');
+const { logger } = require('./logger');
+
+// --- Health and Metrics Routes ---
+//   GET /healthz  liveness: the process is up and serving requests
+//   GET /readyz   readiness: every bot's photo API answers and its LLM
+//                 provider is configured; 503 when a required check fails.
+//                 With several bots the checks are grouped by bot id.
+//   GET /metrics  Prometheus text format
+//
+// Without an LLM a bot still answers with fixed fallbacks, so a disabled
+// provider only fails readiness when the bot's requireLlm is set.
+
+// `bots` is [{ id, photoRepository, llm, requireLlm }]
+function createHealthRouter({ bots, registry }) {
+    const router = express.Router();
+
+    async function checkPhotoApi(photoRepository) {
+        try {
+            const latencyMs = await photoRepository.ping();
+            return { status: 'ok', latencyMs };
+        } catch (error) {
+            return { status: 'fail', error: error.message };
+        }
+    }
+
+    function checkLlm(llm, requireLlm = false) {
+        const check = { provider: llm.name, model: llm.model };
+        if (llm.enabled) return { status: 'ok', ...check };
+        return { status: requireLlm ? 'fail' : 'degraded', ...check };
+    }
+
+    async function checkBot(bot) {
+        return { photoApi: await checkPhotoApi(bot.photoRepository), llm: checkLlm(bot.llm, bot.requireLlm) };
+    }
+
+    router.get('/healthz', (req, res) => {
+        res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+    });
+
+    router.get('/readyz', async (req, res) => {
+        const botChecks = await Promise.all(bots.map(checkBot));
+        const checks = bots.length === 1
+            ? botChecks[0]
+            : Object.fromEntries(bots.map((bot, i) => [bot.id, botChecks[i]]));
+        const ready = botChecks.every(botCheck => Object.values(botCheck).every(check => check.status !== 'fail'));
+        if (!ready) {
+            logger.warn('Readiness check failed', { checks });
+        }
+        res.status(ready ? 200 : 503).json({ status: ready ? 'ok' : 'fail', checks });
+    });
+
+    router.get('/metrics', (req, res) => {
+        res.type('text/plain; version=0.0.4').send(registry.render());
+    });
+
+    return router;
+}
+
+module.exports = { createHealthRouter };
@@ -0,0 +1,61 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// --- JSON File Store ---
+// A key/value map kept in memory and persisted to one JSON file. Writes are
+// serialized and atomic (write to a temp file, then rename) so a crash never
+// leaves a half-written file behind.
+
+// Replace `filePath` with `content` without ever exposing a partial file
+async function writeFileAtomic(filePath, content) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, content, 'utf8');
+    await fs.promises.rename(tmpPath, filePath);
+}
+
+function createJsonFileStore({ filePath, label = 'data' }) {
+    let data = {};
+    try {
+        if (fs.existsSync(filePath)) {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf8')) || {};
+            logger.info(`Loaded ${label} file`, { filePath, entries: Object.keys(data).length });
+        }
+    } catch (err) {
+        logger.error(`Error reading ${label} file, starting empty`, { filePath, error: err });
+        data = {};
+    }
+
+    let writeChain = Promise.resolve();
+
+    function persist() {
+        const serialized = JSON.stringify(data);
+        writeChain = writeChain
+            .then(() => writeFileAtomic(filePath, serialized))
+            .catch(err => logger.error(`Error writing ${label} file`, { filePath, error: err }));
+        return writeChain;
+    }
+
+    return {
+        get(key) {
+            return data[key];
+        },
+        async set(key, value) {
+            data[key] = value;
+            await persist();
+        },
+        async delete(key) {
+            if (!(key in data)) return;
+            delete data[key];
+            await persist();
+        },
+        entries() {
+            return Object.entries(data);
+        },
+    };
+}
+
+module.exports = { createJsonFileStore, writeFileAtomic };
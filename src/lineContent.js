@@ -0,0 +1,44 @@
+'use strict';
+
+// --- LINE Message Content ---
+// Downloads the binary content of an image (or other media) message through
+// the LINE content API, with a size cap so large uploads cannot exhaust memory.
+
+const SIGNATURES = [
+    { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+    { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46] },
+];
+
+// The content API stream carries no content type, so detect it from the file header
+function detectImageMimeType(buffer) {
+    const signature = SIGNATURES.find(sig => sig.bytes.every((byte, i) => buffer[i] === byte));
+    if (signature) return signature.mimeType;
+    if (buffer.slice(0, 4).toString('ascii') === 'RIFF' && buffer.slice(8, 12).toString('ascii') === 'WEBP') {
+        return 'image/webp';
+    }
+    return 'image/jpeg';
+}
+
+function createContentDownloader({ client, maxBytes = 5 * 1024 * 1024 }) {
+    // Returns { data: Buffer, mimeType }
+    async function download(messageId) {
+        const stream = await client.getMessageContent(messageId);
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of stream) {
+            size += chunk.length;
+            if (size > maxBytes) {
+                if (typeof stream.destroy === 'function') stream.destroy();
+                throw new Error(`Message content ${messageId} exceeds ${maxBytes} bytes`);
+            }
+            chunks.push(chunk);
+        }
+        const data = Buffer.concat(chunks);
+        return { data, mimeType: detectImageMimeType(data) };
+    }
+
+    return { download };
+}
+
+module.exports = { createContentDownloader, detectImageMimeType };
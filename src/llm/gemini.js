@@ -0,0 +1,53 @@
+'use strict';
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Google Gemini via @google/generative-ai
+function createGeminiProvider({
+    apiKey,
+    model = 'gemini-1.5-flash-latest',
+    embeddingModel = 'text-embedding-004',
+    temperature,
+    maxTokens,
+}) {
+    if (!apiKey) {
+        throw new Error('GEMINI_API_KEY is required for the gemini LLM provider.');
+    }
+    const generationConfig = {};
+    if (temperature !== undefined) generationConfig.temperature = temperature;
+    if (maxTokens !== undefined) generationConfig.maxOutputTokens = maxTokens;
+
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const generativeModel = genAI.getGenerativeModel({ model, generationConfig });
+    const embeddingClient = genAI.getGenerativeModel({ model: embeddingModel });
+
+    return {
+        name: 'gemini',
+        model,
+        enabled: true,
+        async generate({ prompt, history = [], images = [] }) {
+            const request = images.length > 0
+                ? [prompt, ...images.map(image => ({ inlineData: { data: image.data, mimeType: image.mimeType } }))]
+                : prompt;
+            let result;
+            if (history.length > 0) {
+                const chat = generativeModel.startChat({
+                    history: history.map(turn => ({ role: turn.role, parts: [{ text: turn.text }] })),
+                });
+                result = await chat.sendMessage(request);
+            } else {
+                result = await generativeModel.generateContent(request);
+            }
+            const response = await result.response;
+            return response.text().trim();
+        },
+        async embed(texts) {
+            const result = await embeddingClient.batchEmbedContents({
+                requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } })),
+            });
+            return result.embeddings.map(embedding => embedding.values);
+        },
+    };
+}
+
+module.exports = { createGeminiProvider };
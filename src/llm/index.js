@@ -0,0 +1,51 @@
+'use strict';
+
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAiCompatibleProvider } = require('./openaiCompatible');
+const { createMockProvider } = require('./mock');
+
+// --- LLM Providers ---
+// Every provider exposes:
+//   name, model, enabled
+//   async generate({ prompt, history, images }) -> trimmed reply text
+// where history is [{ role: 'user' | 'model', text }] and images (for
+// multimodal models) is [{ mimeType, data }] with base64-encoded data.
+// Providers with an embedding model also expose
+//   async embed(texts) -> one vector (array of numbers) per text
+//
+// The "none" provider is disabled: callers check `enabled` and skip the LLM
+// step, using their fixed fallbacks instead.
+
+function createDisabledProvider() {
+    return {
+        name: 'none',
+        model: null,
+        enabled: false,
+        async generate() {
+            throw new Error('No LLM provider is configured.');
+        },
+    };
+}
+
+function createLlmProvider(config) {
+    switch (config.provider) {
+        case 'gemini':
+            return createGeminiProvider(config);
+        case 'openai':
+            return createOpenAiCompatibleProvider(config);
+        case 'mock':
+            return createMockProvider(config);
+        case 'none':
+            return createDisabledProvider();
+        default:
+            throw new Error(`Unknown LLM provider "${config.provider}", expected gemini, openai, mock or none.`);
+    }
+}
+
+module.exports = {
+    createLlmProvider,
+    createGeminiProvider,
+    createOpenAiCompatibleProvider,
+    createMockProvider,
+    createDisabledProvider,
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+// Deterministic provider for local development and tests. `respond` receives
+// the same { prompt, history, images } as generate() and returns the reply text.
+// Every call is recorded in `calls`. With an `embed` function (texts -> vectors)
+// the provider also supports embeddings.
+function createMockProvider({ respond, response = '發大財', embed } = {}) {
+    const calls = [];
+    const provider = {
+        name: 'mock',
+        model: 'mock',
+        enabled: true,
+        calls,
+        async generate(request) {
+            calls.push(request);
+            const text = respond ? await respond(request) : response;
+            return String(text || '').trim();
+        },
+    };
+    if (embed) {
+        provider.embed = async (texts) => embed(texts);
+    }
+    return provider;
+}
+
+module.exports = { createMockProvider };
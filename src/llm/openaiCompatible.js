@@ -0,0 +1,59 @@
+'use strict';
+
+const axios = require('axios');
+
+// Any server implementing the OpenAI chat completions API
+// (OpenAI itself, or a local model server such as llama.cpp, Ollama or vLLM).
+// embed() uses the embeddings API and is only available with an embeddingModel.
+function createOpenAiCompatibleProvider({
+    baseUrl,
+    apiKey,
+    model,
+    embeddingModel,
+    temperature,
+    maxTokens,
+    timeoutMs = 20000,
+    httpClient = axios,
+}) {
+    if (!baseUrl || !model) {
+        throw new Error('OPENAI_BASE_URL and LLM_MODEL are required for the openai LLM provider.');
+    }
+    const root = baseUrl.replace(/\/+$/, '');
+    const url = `${root}/chat/completions`;
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+    const provider = {
+        name: 'openai',
+        model,
+        enabled: true,
+        async generate({ prompt, history = [], images = [] }) {
+            // Images are sent as data URLs, which vision-capable servers accept
+            const content = images.length > 0
+                ? [{ type: 'text', text: prompt }].concat(images.map(image => ({
+                    type: 'image_url',
+                    image_url: { url: `data:${image.mimeType};base64,${image.data}` },
+                })))
+                : prompt;
+            const messages = history
+                .map(turn => ({ role: turn.role === 'model' ? 'assistant' : 'user', content: turn.text }))
+                .concat({ role: 'user', content });
+            const body = { model, messages };
+            if (temperature !== undefined) body.temperature = temperature;
+            if (maxTokens !== undefined) body.max_tokens = maxTokens;
+
+            const response = await httpClient.post(url, body, { headers, timeout: timeoutMs });
+            const choice = response.data && response.data.choices && response.data.choices[0];
+            return ((choice && choice.message && choice.message.content) || '').trim();
+        },
+    };
+    if (embeddingModel) {
+        provider.embed = async (texts) => {
+            const response = await httpClient.post(`${root}/embeddings`, { model: embeddingModel, input: texts }, { headers, timeout: timeoutMs });
+            // Results carry their input index and are not guaranteed to be in order
+            return response.data.data.slice().sort((a, b) => a.index - b.index).map(item => item.embedding);
+        };
+    }
+    return provider;
+}
+
+module.exports = { createOpenAiCompatibleProvider };
@@ -0,0 +1,49 @@
+'use strict';
+
+const { logger } = require('../logger');
+
+// Wraps a provider with a global daily call quota. Once the quota is used up,
+// generate() and embed() reject with code LLM_QUOTA_EXCEEDED; callers already
+// treat LLM errors as "use the fixed fallback" (or the local quote ranking),
+// so the bot degrades instead of failing. The day rolls over at midnight in
+// `timeZone`. Every generate() call and every embed() batch counts as one call.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createQuotaGuardedProvider(provider, { dailyLimit, store, timeZone = 'Asia/Taipei', now = Date.now }) {
+    if (!provider.enabled || !dailyLimit || dailyLimit <= 0) {
+        return provider;
+    }
+    const dayFormat = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+
+    // Count one call, rejecting once the day's quota is used up
+    async function consume() {
+        const day = dayFormat.format(now());
+        const { count } = await store.increment(`llm-quota:${day}`, 2 * DAY_MS);
+        if (count > dailyLimit) {
+            if (count === dailyLimit + 1) {
+                logger.warn('Daily LLM quota reached, using fixed fallbacks until tomorrow', { dailyLimit, day });
+            }
+            const error = new Error(`Daily LLM quota of ${dailyLimit} calls exceeded`);
+            error.code = 'LLM_QUOTA_EXCEEDED';
+            throw error;
+        }
+    }
+
+    const guarded = {
+        ...provider,
+        async generate(request) {
+            await consume();
+            return provider.generate(request);
+        },
+    };
+    if (provider.embed) {
+        guarded.embed = async (texts) => {
+            await consume();
+            return provider.embed(texts);
+        };
+    }
+    return guarded;
+}
+
+module.exports = { createQuotaGuardedProvider };
@@ -0,0 +1,44 @@
+'use strict';
+
+const { logger } = require('../logger');
+const { metrics: sharedMetrics } = require('../metrics');
+
+// Wraps a provider so every generate() and embed() call is timed, logged,
+// counted in the metrics and added to the current event's log summary.
+
+function createTimedProvider(provider, { metrics = sharedMetrics } = {}) {
+    if (!provider.enabled) {
+        return provider;
+    }
+
+    function timed(method, describe) {
+        return async (input) => {
+            const startedAt = Date.now();
+            metrics.llmCalls.inc({ provider: provider.name });
+            try {
+                const result = await provider[method](input);
+                const durationMs = Date.now() - startedAt;
+                logger.recordLatency('llm', durationMs);
+                logger.debug('LLM call', { provider: provider.name, model: provider.model, method, durationMs, ...describe(result) });
+                return result;
+            } catch (error) {
+                const durationMs = Date.now() - startedAt;
+                logger.recordLatency('llm', durationMs);
+                metrics.llmErrors.inc({ provider: provider.name });
+                logger.warn('LLM call failed', { provider: provider.name, model: provider.model, method, durationMs, error });
+                throw error;
+            }
+        };
+    }
+
+    const timedProvider = {
+        ...provider,
+        generate: timed('generate', text => ({ replyLength: text ? text.length : 0 })),
+    };
+    if (provider.embed) {
+        timedProvider.embed = timed('embed', vectors => ({ vectorCount: vectors.length }));
+    }
+    return timedProvider;
+}
+
+module.exports = { createTimedProvider };
@@ -0,0 +1,123 @@
+'use strict';
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// --- Logger ---
+// One JSON object per line: { time, level, msg, ...context, ...fields }.
+// withContext() runs a function with fields (e.g. the event's correlation id)
+// that are added to every line logged inside it, across awaits. The context
+// also collects a summary of the event: the resolution path that produced
+// the reply and the time spent in photo API and LLM calls.
+//
+// Configured from the environment:
+//   LOG_LEVEL:       debug, info (default), warn or error
+//   LOG_FORMAT:      json (default) or text (one readable line, for local development)
+//   LOG_REDACT_IDS:  "false" to log LINE user/group/room ids unredacted
+//   LOG_REDACT_SALT: salt for the redacted id hashes
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function serializeValue(value) {
+    if (value instanceof Error) {
+        const serialized = { message: value.message };
+        if (value.code) serialized.code = value.code;
+        const status = value.status || (value.response && value.response.status);
+        if (status) serialized.status = status;
+        return serialized;
+    }
+    return value;
+}
+
+function defaultWrite(line, level) {
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+function createLogger({
+    level = 'info',
+    format = 'json',
+    redactIds = true,
+    redactSalt = '',
+    write = defaultWrite,
+    now = () => new Date(),
+} = {}) {
+    if (!LEVELS[level]) {
+        throw new Error(`Unknown log level "${level}", expected one of: ${Object.keys(LEVELS).join(', ')}.`);
+    }
+    const minLevel = LEVELS[level];
+    const storage = new AsyncLocalStorage();
+
+    function log(entryLevel, msg, fields = {}) {
+        if (LEVELS[entryLevel] < minLevel) return;
+        const store = storage.getStore();
+        const entry = { time: now().toISOString(), level: entryLevel, msg, ...(store && store.fields) };
+        for (const [key, value] of Object.entries(fields)) {
+            entry[key] = serializeValue(value);
+        }
+        if (format === 'text') {
+            const { time, level: _level, msg: _msg, ...rest } = entry;
+            const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+            write(`${time} ${entryLevel.toUpperCase()} ${msg}${extra}`, entryLevel);
+        } else {
+            write(JSON.stringify(entry), entryLevel);
+        }
+    }
+
+    // Hash a LINE id so log lines can be correlated without exposing the id
+    function redact(id) {
+        if (!id || !redactIds) return id;
+        const hash = crypto.createHash('sha256').update(`${redactSalt}${id}`).digest('hex').slice(0, 12);
+        return `${id[0]}#${hash}`;
+    }
+
+    function withContext(fields, fn) {
+        return storage.run({ fields, summary: {} }, fn);
+    }
+
+    // Add fields to the event summary (e.g. the command that ran)
+    function annotate(fields) {
+        const store = storage.getStore();
+        if (store) Object.assign(store.summary, fields);
+    }
+
+    // Record which path produced the reply; the last call wins
+    function setResolution(resolution) {
+        annotate({ resolution });
+    }
+
+    // Add the duration of an external call (e.g. "photoApi", "llm") to the event summary
+    function recordLatency(kind, durationMs) {
+        const store = storage.getStore();
+        if (!store) return;
+        store.summary[`${kind}Calls`] = (store.summary[`${kind}Calls`] || 0) + 1;
+        store.summary[`${kind}Ms`] = (store.summary[`${kind}Ms`] || 0) + durationMs;
+    }
+
+    function getSummary() {
+        const store = storage.getStore();
+        return store ? { ...store.summary } : {};
+    }
+
+    return {
+        debug: (msg, fields) => log('debug', msg, fields),
+        info: (msg, fields) => log('info', msg, fields),
+        warn: (msg, fields) => log('warn', msg, fields),
+        error: (msg, fields) => log('error', msg, fields),
+        redact,
+        withContext,
+        annotate,
+        setResolution,
+        recordLatency,
+        getSummary,
+    };
+}
+
+// Shared logger used across the app
+const logger = createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: process.env.LOG_FORMAT || 'json',
+    redactIds: process.env.LOG_REDACT_IDS !== 'false',
+    redactSalt: process.env.LOG_REDACT_SALT || '',
+});
+
+module.exports = { logger, createLogger, LEVELS };
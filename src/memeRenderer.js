@@ -0,0 +1,250 @@
+'use strict';
+
+const axios = require('axios');
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { logger } = require('./logger');
+const { metrics: sharedMetrics } = require('./metrics');
+
+// --- Meme Renderer ---
+// Draws a caption onto a photo from PHOTO_BASE_URL and keeps the result in
+// `cacheDir` as "<id>.jpg" plus a "<id>-preview.jpg" thumbnail. The id is a
+// hash of the photo URL, the caption and the style, so the same meme is only
+// rendered once; files unused for `retentionMs` are deleted by cleanup(),
+// which start() runs every `cleanupIntervalMs`. Rendered files are served by
+// createMemeRouter.
+//
+// The caption is an SVG overlay composited by sharp: centered lines of
+// `fontFamily` text filled with `fill` and outlined with `stroke`, at the
+// top or bottom of the photo. The font size starts at `fontScale` of the
+// image width and shrinks until the caption fits in `maxLines` lines.
+
+const FILE_NAME = /^([0-9a-f]{40})(-preview)?\.jpg$/;
+const MIN_FONT_SCALE = 0.04;
+const MARGIN_SCALE = 0.04; // Of the image width, around the caption
+const LINE_HEIGHT = 1.25;
+const BREAK_AFTER = /[，、。！？；：,.!?;:\s]/;
+
+const DEFAULT_STYLE = {
+    fontFamily: 'Noto Sans CJK TC',
+    fontScale: 0.08,
+    fill: '#ffffff',
+    stroke: '#000000',
+    strokeScale: 0.12, // Of the font size
+    position: 'bottom',
+    maxLines: 3,
+};
+
+function escapeXml(text) {
+    return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Split text into lines of at most `perLine` characters, preferring to break
+// after punctuation
+function wrapText(text, perLine) {
+    const lines = [];
+    let line = '';
+    let breakAt = -1; // Length of `line` after its last punctuation
+    for (const char of Array.from(text.trim())) {
+        if (line.length === 0 && /\s/.test(char)) continue;
+        line += char;
+        if (BREAK_AFTER.test(char)) breakAt = Array.from(line).length;
+        const chars = Array.from(line);
+        if (chars.length > perLine) {
+            const cut = breakAt > 0 && breakAt < chars.length ? breakAt : perLine;
+            lines.push(chars.slice(0, cut).join('').trim());
+            line = chars.slice(cut).join('').trimStart();
+            breakAt = -1;
+        }
+    }
+    if (line.trim()) lines.push(line.trim());
+    return lines;
+}
+
+// Font size and lines for a caption on an image `width` pixels wide. A
+// caption that does not fit at the smallest size is cut off with "…".
+function layoutCaption(text, width, style = DEFAULT_STYLE) {
+    const usableWidth = width * (1 - 2 * MARGIN_SCALE);
+    let fontSize = width * style.fontScale;
+    const minFontSize = width * Math.min(MIN_FONT_SCALE, style.fontScale);
+    for (;;) {
+        const perLine = Math.max(Math.floor(usableWidth / fontSize), 1);
+        const lines = wrapText(text, perLine);
+        if (lines.length <= style.maxLines) {
+            return { fontSize: Math.round(fontSize), lines };
+        }
+        if (fontSize * 0.9 < minFontSize) {
+            const kept = lines.slice(0, style.maxLines);
+            const last = Array.from(kept[kept.length - 1]);
+            kept[kept.length - 1] = `${last.slice(0, Math.max(perLine - 1, 1)).join('')}…`;
+            return { fontSize: Math.round(fontSize), lines: kept };
+        }
+        fontSize *= 0.9;
+    }
+}
+
+function buildOverlay(text, width, height, style) {
+    const { fontSize, lines } = layoutCaption(text, width, style);
+    const lineHeight = fontSize * LINE_HEIGHT;
+    const margin = width * MARGIN_SCALE;
+    const firstBaseline = style.position === 'top'
+        ? margin + fontSize
+        : height - margin - lineHeight * (lines.length - 1) - fontSize * 0.2;
+    const textElements = lines.map((line, i) => `<text x="${width / 2}" y="${Math.round(firstBaseline + i * lineHeight)}">${escapeXml(line)}</text>`);
+    return Buffer.from(
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`
+        + `<g font-family="${escapeXml(style.fontFamily)}" font-size="${fontSize}" font-weight="bold" text-anchor="middle"`
+        + ` fill="${escapeXml(style.fill)}" stroke="${escapeXml(style.stroke)}" stroke-width="${Math.round(fontSize * style.strokeScale * 2)}"`
+        + ` stroke-linejoin="round" paint-order="stroke">${textElements.join('')}</g></svg>`
+    );
+}
+
+function createMemeRenderer({
+    cacheDir,
+    photoBaseUrl,
+    style: styleOverrides = {},
+    retentionMs = 72 * 60 * 60 * 1000,
+    cleanupIntervalMs = 60 * 60 * 1000,
+    timeoutMs = 5000,
+    maxWidth = 1024,
+    previewWidth = 240,
+    httpClient = axios,
+    metrics = sharedMetrics,
+    now = Date.now,
+}) {
+    const style = { ...DEFAULT_STYLE, ...styleOverrides };
+    const inFlight = new Map(); // id -> render promise
+    let timer = null;
+
+    function filePath(id, { preview = false } = {}) {
+        return path.join(cacheDir, `${id}${preview ? '-preview' : ''}.jpg`);
+    }
+
+    function memeId(photoUrl, text) {
+        return crypto.createHash('sha1').update(JSON.stringify([photoUrl, text, style, maxWidth])).digest('hex');
+    }
+
+    // Keep a cached meme from being cleaned up while it is still used
+    function touch(id) {
+        const time = new Date(now());
+        for (const file of [filePath(id), filePath(id, { preview: true })]) {
+            fs.utimesSync(file, time, time);
+        }
+    }
+
+    // Write through a temporary file so a half-written meme is never served
+    async function writeAtomically(file, pipeline) {
+        const tempFile = `${file}.${process.pid}.tmp`;
+        await pipeline.toFile(tempFile);
+        fs.renameSync(tempFile, file);
+    }
+
+    async function renderFile(id, photoUrl, text) {
+        const startedAt = Date.now();
+        const response = await httpClient.get(photoUrl, { responseType: 'arraybuffer', timeout: timeoutMs });
+        const source = sharp(Buffer.from(response.data)).rotate().resize({ width: maxWidth, withoutEnlargement: true });
+        const { data, info } = await source.toBuffer({ resolveWithObject: true });
+        const rendered = await sharp(data)
+            .composite([{ input: buildOverlay(text, info.width, info.height, style) }])
+            .jpeg({ quality: 85 })
+            .toBuffer();
+        fs.mkdirSync(cacheDir, { recursive: true });
+        await writeAtomically(filePath(id, { preview: true }), sharp(rendered).resize({ width: previewWidth, withoutEnlargement: true }).jpeg({ quality: 75 }));
+        await writeAtomically(filePath(id), sharp(rendered));
+        logger.info('Rendered meme', { id, photoUrl, width: info.width, height: info.height, durationMs: Date.now() - startedAt });
+    }
+
+    // Render `text` onto the photo, or reuse the cached meme. Resolves to the
+    // meme id; concurrent renders of the same meme share one request.
+    async function render(photo, text) {
+        const photoUrl = photoBaseUrl + photo.path;
+        const id = memeId(photoUrl, text);
+        if (fs.existsSync(filePath(id)) && fs.existsSync(filePath(id, { preview: true }))) {
+            touch(id);
+            metrics.memes.inc({ result: 'cached' });
+            return id;
+        }
+        if (!inFlight.has(id)) {
+            const rendering = renderFile(id, photoUrl, text)
+                .then(() => metrics.memes.inc({ result: 'rendered' }))
+                .catch(error => {
+                    metrics.memes.inc({ result: 'failed' });
+                    throw error;
+                })
+                .finally(() => inFlight.delete(id));
+            inFlight.set(id, rendering);
+        }
+        await inFlight.get(id);
+        return id;
+    }
+
+    // Delete memes (and leftover temporary files) not used within the retention period
+    function cleanup() {
+        let entries;
+        try {
+            entries = fs.readdirSync(cacheDir);
+        } catch (err) {
+            if (err.code === 'ENOENT') return 0;
+            throw err;
+        }
+        const cutoff = now() - retentionMs;
+        let removed = 0;
+        for (const entry of entries) {
+            const file = path.join(cacheDir, entry);
+            try {
+                if (fs.statSync(file).mtimeMs < cutoff) {
+                    fs.unlinkSync(file);
+                    removed++;
+                }
+            } catch (err) {
+                logger.warn('Could not clean up meme file', { file, error: err });
+            }
+        }
+        if (removed > 0) {
+            logger.info('Cleaned up old memes', { removed, retentionHours: retentionMs / 3600000 });
+        }
+        return removed;
+    }
+
+    function runCleanup() {
+        try {
+            cleanup();
+        } catch (err) {
+            logger.error('Meme cleanup failed', { cacheDir, error: err });
+        }
+    }
+
+    function start() {
+        if (timer || !cleanupIntervalMs) return;
+        runCleanup();
+        timer = setInterval(runCleanup, cleanupIntervalMs);
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { render, filePath, cleanup, start, stop, style };
+}
+
+// GET /memes/<id>.jpg and /memes/<id>-preview.jpg serve rendered memes. The
+// id covers the meme's content, so the files can be cached forever.
+function createMemeRouter({ renderer }) {
+    const router = express.Router();
+    router.get('/memes/:file', (req, res) => {
+        const match = req.params.file.match(FILE_NAME);
+        const file = match && renderer.filePath(match[1], { preview: Boolean(match[2]) });
+        if (!file || !fs.existsSync(file)) {
+            return res.status(404).json({ error: 'Meme not found' });
+        }
+        return res.sendFile(file, { maxAge: '365d', immutable: true });
+    });
+    return router;
+}
+
+module.exports = { createMemeRenderer, createMemeRouter, layoutCaption };
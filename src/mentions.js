@@ -0,0 +1,23 @@
+'use strict';
+
+// Detect whether a text message @-mentions the bot, and return the text with
+// the bot's mention removed. LINE marks the bot's own mention with isSelf;
+// botUserId is a fallback for older payloads.
+function extractSelfMention(message, botUserId) {
+    const mentionees = (message.mention && message.mention.mentionees) || [];
+    const selfMentions = mentionees.filter(m => m.isSelf || (botUserId && m.userId === botUserId));
+    if (selfMentions.length === 0) {
+        return { mentioned: false, text: message.text };
+    }
+    // Remove from the end so earlier indexes stay valid
+    let text = message.text;
+    selfMentions
+        .slice()
+        .sort((a, b) => b.index - a.index)
+        .forEach(m => {
+            text = text.slice(0, m.index) + text.slice(m.index + m.length);
+        });
+    return { mentioned: true, text };
+}
+
+module.exports = { extractSelfMention };
@@ -0,0 +1,132 @@
+'use strict';
+
+// --- Metrics ---
+// A small in-process metrics registry rendered in the Prometheus text
+// exposition format (served at /metrics). Counters and histograms take an
+// optional labels object; label values are kept as given, so callers should
+// only use bounded values (command names, resolution paths, ...).
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their sorted labels so { a, b } and { b, a } are the same series
+function seriesKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+function createCounter(name, help) {
+    const series = new Map(); // key -> { labels, value }
+
+    return {
+        inc(labels = {}, amount = 1) {
+            const key = seriesKey(labels);
+            const entry = series.get(key) || { labels, value: 0 };
+            entry.value += amount;
+            series.set(key, entry);
+        },
+        get(labels = {}) {
+            const entry = series.get(seriesKey(labels));
+            return entry ? entry.value : 0;
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            for (const { labels, value } of series.values()) {
+                lines.push(`${name}${formatLabels(labels)} ${value}`);
+            }
+            return lines.join('\n');
+        },
+    };
+}
+
+function createHistogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = new Map(); // key -> { labels, counts, sum, count }
+
+    return {
+        observe(labels, value) {
+            const key = seriesKey(labels);
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+            buckets.forEach((bound, i) => {
+                if (value <= bound) entry.counts[i]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            for (const { labels, counts, sum, count } of series.values()) {
+                buckets.forEach((bound, i) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+            }
+            return lines.join('\n');
+        },
+    };
+}
+
+function createMetricsRegistry() {
+    const instruments = [];
+
+    function register(instrument) {
+        instruments.push(instrument);
+        return instrument;
+    }
+
+    return {
+        counter: (name, help) => register(createCounter(name, help)),
+        histogram: (name, help, buckets) => register(createHistogram(name, help, buckets)),
+        render: () => `${instruments.map(instrument => instrument.render()).join('\n')}\n`,
+    };
+}
+
+// A view of `instruments` that adds `labels` to every series it records
+function withLabels(instruments, labels) {
+    const labelled = {};
+    for (const [key, instrument] of Object.entries(instruments)) {
+        if (key === 'registry' || key === 'withLabels') continue;
+        labelled[key] = {
+            ...instrument,
+            ...(instrument.inc && { inc: (seriesLabels = {}, amount) => instrument.inc({ ...labels, ...seriesLabels }, amount) }),
+            ...(instrument.get && { get: (seriesLabels = {}) => instrument.get({ ...labels, ...seriesLabels }) }),
+            ...(instrument.observe && { observe: (seriesLabels, value) => instrument.observe({ ...labels, ...seriesLabels }, value) }),
+        };
+    }
+    return { ...labelled, registry: instruments.registry };
+}
+
+// Shared registry and the app's metrics. Each bot records through
+// metrics.withLabels({ bot: id }), so one /metrics tells the bots apart.
+const registry = createMetricsRegistry();
+const metrics = {
+    registry,
+    events: registry.counter('hanbot_events_total', 'Webhook events received, by event type.'),
+    commands: registry.counter('hanbot_commands_total', 'Commands run, by command name.'),
+    resolutions: registry.counter('hanbot_resolutions_total', 'Handled events, by the path that produced the reply.'),
+    photoCache: registry.counter('hanbot_photo_cache_lookups_total', 'Photo repository lookups, by result (hit, coalesced or miss).'),
+    photoIndex: registry.counter('hanbot_photo_index_lookups_total', 'Photo searches against the local index, by result (hit, miss or not-synced).'),
+    llmCalls: registry.counter('hanbot_llm_calls_total', 'LLM generate calls, by provider.'),
+    llmErrors: registry.counter('hanbot_llm_errors_total', 'Failed LLM generate calls, by provider.'),
+    replyFailures: registry.counter('hanbot_reply_failures_total', 'LINE reply and fallback push API calls that failed, by HTTP status.'),
+    pushFallbacks: registry.counter('hanbot_push_fallbacks_total', 'Replies sent as push messages, by reason (expired, invalid-token or no-token).'),
+    duplicateEvents: registry.counter('hanbot_duplicate_events_total', 'Webhook events skipped as already handled, by whether LINE marked them redelivered.'),
+    memes: registry.counter('hanbot_memes_total', 'Meme images requested, by result (rendered, cached or failed).'),
+    replyLatency: registry.histogram('hanbot_reply_duration_seconds', 'Time from receiving an event to finishing its reply, by command.'),
+};
+metrics.withLabels = labels => withLabels(metrics, labels);
+
+module.exports = { metrics, createMetricsRegistry, DEFAULT_BUCKETS };
@@ -0,0 +1,117 @@
+'use strict';
+
+const fs = require('fs');
+const { logger } = require('./logger');
+
+// --- Moderation ---
+// Checks LLM-generated replies before they are sent and user input before it
+// is put into a generation prompt. Rules come from moderation.json:
+//   blockedWords:      words a reply must not contain (case-insensitive)
+//   blockedPatterns:   regular expressions a reply must not match
+//   injectionPatterns: regular expressions that mark user input as a prompt-injection attempt
+//   minReplyLength:    shortest acceptable reply, in characters (default 1)
+//   maxReplyLength:    longest acceptable reply, in characters (default 200)
+//   maxInputLength:    user input is cut to this length before prompting (default 200)
+// Every check returns { ok, reason } so callers can log why something was rejected.
+
+const DEFAULT_RULES = Object.freeze({
+    blockedWords: [],
+    blockedPatterns: [],
+    injectionPatterns: [],
+    minReplyLength: 1,
+    maxReplyLength: 200,
+    maxInputLength: 200,
+});
+
+function compilePatterns(patterns, field) {
+    if (!Array.isArray(patterns)) {
+        throw new Error(`"${field}" must be an array of regular expressions`);
+    }
+    return patterns.map(pattern => {
+        try {
+            return new RegExp(pattern, 'i');
+        } catch (err) {
+            throw new Error(`Invalid pattern in "${field}": ${pattern} (${err.message})`);
+        }
+    });
+}
+
+function compileRules(raw) {
+    const rules = { ...DEFAULT_RULES, ...raw };
+    return {
+        blockedWords: rules.blockedWords.map(word => word.toLowerCase()),
+        blockedPatterns: compilePatterns(rules.blockedPatterns, 'blockedPatterns'),
+        injectionPatterns: compilePatterns(rules.injectionPatterns, 'injectionPatterns'),
+        minReplyLength: rules.minReplyLength,
+        maxReplyLength: rules.maxReplyLength,
+        maxInputLength: rules.maxInputLength,
+    };
+}
+
+function createModerator({ filePath }) {
+    let rules = compileRules({});
+
+    // (Re)load rules from disk. Keeps the previous rules if the file is invalid.
+    function reload() {
+        try {
+            if (!fs.existsSync(filePath)) {
+                logger.info('No moderation file, only length limits apply', { filePath });
+                rules = compileRules({});
+                return;
+            }
+            rules = compileRules(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+            logger.info('Loaded moderation rules', {
+                blockedWords: rules.blockedWords.length,
+                blockedPatterns: rules.blockedPatterns.length,
+                injectionPatterns: rules.injectionPatterns.length,
+            });
+        } catch (err) {
+            logger.error('Error loading moderation rules', { filePath, error: err });
+        }
+    }
+
+    // Check a generated reply
+    function checkOutput(text) {
+        const length = Array.from(text || '').length;
+        if (length < rules.minReplyLength) {
+            return { ok: false, reason: `too short (${length} < ${rules.minReplyLength})` };
+        }
+        if (length > rules.maxReplyLength) {
+            return { ok: false, reason: `too long (${length} > ${rules.maxReplyLength})` };
+        }
+        const lowerText = text.toLowerCase();
+        const word = rules.blockedWords.find(blocked => lowerText.includes(blocked));
+        if (word) {
+            return { ok: false, reason: `blocked word "${word}"` };
+        }
+        const pattern = rules.blockedPatterns.find(blocked => blocked.test(text));
+        if (pattern) {
+            return { ok: false, reason: `blocked pattern ${pattern}` };
+        }
+        return { ok: true, reason: null };
+    }
+
+    // Check user input that is about to be sent to the LLM
+    function checkInput(text) {
+        const pattern = rules.injectionPatterns.find(injection => injection.test(text || ''));
+        if (pattern) {
+            return { ok: false, reason: `prompt injection pattern ${pattern}` };
+        }
+        return { ok: true, reason: null };
+    }
+
+    // Make user input safe to quote inside a prompt: one line, no quote or
+    // section marks that could close the quoted block, and a bounded length
+    function sanitizeInput(text) {
+        const cleaned = (text || '')
+            .replace(/[\r\n\t]+/g, ' ')
+            .replace(/["“”「」『』【】]/g, '')
+            .trim();
+        return Array.from(cleaned).slice(0, rules.maxInputLength).join('');
+    }
+
+    reload();
+    return { reload, checkOutput, checkInput, sanitizeInput };
+}
+
+module.exports = { createModerator, DEFAULT_RULES };
@@ -0,0 +1,25 @@
+'use strict';
+
+// --- Persona ---
+// The name a bot is addressed by (its command prefix, "院長" by default) and
+// the persona its prompts impersonate. Commands and fixed replies are built
+// with the bot's prefix (see BOT_PREFIX in ./config); quotes, generated
+// replies and other content are sent as they are.
+
+const DEFAULT_PREFIX = '院長';
+const DEFAULT_PERSONA = {
+    name: '韓國瑜',
+    prompt: '你是一個模仿中華民國立法院長韓國瑜的聊天機器人。',
+};
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A command trigger matching `prefix` followed by `pattern`, e.g.
+// prefixedRegex('院長', /[，\s]梗圖$/) matches "院長，梗圖"
+function prefixedRegex(prefix, pattern) {
+    return new RegExp(`^${escapeRegExp(prefix)}${pattern.source}`, pattern.flags);
+}
+
+module.exports = { DEFAULT_PREFIX, DEFAULT_PERSONA, prefixedRegex };
@@ -0,0 +1,83 @@
+'use strict';
+
+const { toSecureImageUrl } = require('./photoMessages');
+const { createPostbackData } = require('./quickReplies');
+const { DEFAULT_PREFIX } = require('./persona');
+
+// --- Flex Photo Carousel ---
+// Renders several photo results as a Flex Message carousel. Each bubble shows
+// the photo, its caption and tags from the photo API, a matching quote and a
+// "再來一張" postback button that re-runs the search.
+
+const MAX_BUBBLES = 12; // LINE carousel limit
+
+function getCaption(photo) {
+    return photo.caption || photo.title || photo.description || '';
+}
+
+// Tags from the photo API, given as an array or a comma/space separated string
+function getTags(photo) {
+    if (Array.isArray(photo.tags)) return photo.tags;
+    if (typeof photo.tags === 'string') return photo.tags.split(/[,，\s]+/).filter(Boolean);
+    return [];
+}
+
+function createPhotoBubble(photoBaseUrl, photo, tag, quote) {
+    const imageUrl = toSecureImageUrl(photoBaseUrl, photo);
+    const bodyContents = [];
+    const caption = getCaption(photo);
+    if (caption) {
+        bodyContents.push({ type: 'text', text: caption, weight: 'bold', wrap: true });
+    }
+    const tags = getTags(photo);
+    if (tags.length > 0) {
+        bodyContents.push({ type: 'text', text: tags.map(t => `#${t}`).join(' '), size: 'sm', color: '#1E88E5', wrap: true });
+    }
+
+    const bubble = {
+        type: 'bubble',
+        hero: {
+            type: 'image',
+            url: imageUrl,
+            size: 'full',
+            aspectRatio: '1:1',
+            aspectMode: 'cover',
+            action: { type: 'uri', label: '看大圖', uri: imageUrl },
+        },
+        footer: {
+            type: 'box',
+            layout: 'vertical',
+            spacing: 'sm',
+            contents: [
+                { type: 'text', text: `「${quote}」`, size: 'xs', color: '#888888', wrap: true },
+                {
+                    type: 'button',
+                    style: 'primary',
+                    height: 'sm',
+                    action: {
+                        type: 'postback',
+                        label: '再來一張',
+                        data: createPostbackData('tag', tag, { more: true }),
+                        displayText: `再來一張「${tag}」`,
+                    },
+                },
+            ],
+        },
+    };
+    if (bodyContents.length > 0) {
+        bubble.body = { type: 'box', layout: 'vertical', spacing: 'sm', contents: bodyContents };
+    }
+    return bubble;
+}
+
+// Build a carousel message for `photos` (already validated and selected)
+function createPhotoCarousel({ photoBaseUrl, photos, tag, quote, prefix = DEFAULT_PREFIX }) {
+    const bubbles = photos.slice(0, MAX_BUBBLES).map(photo => createPhotoBubble(photoBaseUrl, photo, tag, quote));
+    return {
+        type: 'flex',
+        altText: `${prefix}的「${tag}」照片`,
+        contents: { type: 'carousel', contents: bubbles },
+    };
+}
+
+module.exports = { createPhotoCarousel, getTags, MAX_BUBBLES };
@@ -0,0 +1,231 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeSearchText } = require('./chineseText');
+const { isValidPhotoPath } = require('./photoMessages');
+const { getTags } = require('./photoFlex');
+const { logger } = require('./logger');
+const { metrics: sharedMetrics } = require('./metrics');
+
+// --- Photo Index ---
+// A local index over the full photo list (the one "院長好" uses), synced from
+// the photo API every `syncIntervalMs`. Each photo is indexed by its tags,
+// its file name and its caption, title or description. Queries and index
+// terms are normalized alike (see ./chineseText), a query also matches the
+// other words of its synonym group from synonyms.json, and matches are ranked:
+//   same term                       1.0
+//   term contains the query         0.5-0.9, the closer in length the higher
+//   query contains the term         up to 0.9, by the share of the query the
+//                                   term covers, so a sentence mentioning a
+//                                   short tag stays below the default minScore
+//   typo (edit distance)            up to 0.8, when at least 60% similar
+// Synonym matches score 0.9 of that. The index decorates the photo
+// repository: search() answers from the index and only asks the API's
+// ?search= when nothing scores at least `minScore` or the index has not
+// synced yet, so Gemini keyword expansion is only needed when both miss.
+
+const SYNONYM_WEIGHT = 0.9;
+const FUZZY_MIN_SIMILARITY = 0.6;
+const TIE_MARGIN = 0.05; // Photos this close to the best score are equally good picks
+
+// Levenshtein distance over arrays of characters
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Score how well a normalized query matches a normalized index term, 0 to 1
+function scoreTerm(query, term) {
+    if (query === term) return 1;
+    const queryChars = Array.from(query);
+    const termChars = Array.from(term);
+    const shorter = Math.min(queryChars.length, termChars.length);
+    const longer = Math.max(queryChars.length, termChars.length);
+    if (shorter < 2) return 0; // A single character matches too much
+    if (term.includes(query)) {
+        return 0.5 + 0.4 * (shorter / longer);
+    }
+    if (query.includes(term)) {
+        return 0.9 * (shorter / longer);
+    }
+    if (longer - shorter <= 2) {
+        const similarity = 1 - editDistance(queryChars, termChars) / longer;
+        if (similarity >= FUZZY_MIN_SIMILARITY) return 0.8 * similarity;
+    }
+    return 0;
+}
+
+// The normalized terms a photo is found by
+function photoTerms(photo) {
+    const stem = path.basename(photo.path, path.extname(photo.path));
+    const terms = [
+        ...getTags(photo),
+        stem,
+        ...stem.split(/[-_\s,，.]+/),
+        photo.caption,
+        photo.title,
+        photo.description,
+    ]
+        .map(normalizeSearchText)
+        .filter(term => term && !/^\d+$/.test(term));
+    return Array.from(new Set(terms));
+}
+
+// synonyms.json: an array of synonym groups, e.g. [["發大財", "發財", "賺大錢"]].
+// Returns a map from each normalized word to the other words of its groups.
+function loadSynonyms(filePath) {
+    const synonyms = new Map();
+    if (!filePath || !fs.existsSync(filePath)) {
+        return synonyms;
+    }
+    const groups = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(groups) || !groups.every(Array.isArray)) {
+        throw new Error('synonyms must be an array of arrays of words');
+    }
+    for (const group of groups) {
+        const words = Array.from(new Set(group.map(normalizeSearchText).filter(Boolean)));
+        for (const word of words) {
+            const others = synonyms.get(word) || new Set();
+            words.filter(other => other !== word).forEach(other => others.add(other));
+            synonyms.set(word, others);
+        }
+    }
+    return synonyms;
+}
+
+function createPhotoIndex({
+    repository,
+    synonymsFile,
+    syncIntervalMs = 10 * 60 * 1000,
+    minScore = 0.5,
+    metrics = sharedMetrics,
+    now = Date.now,
+}) {
+    let entries = [];
+    let synonyms = new Map();
+    let syncedAt = null;
+    let timer = null;
+
+    // Reload the synonyms; keeps the previous table if the file is invalid
+    function reloadSynonyms() {
+        try {
+            synonyms = loadSynonyms(synonymsFile);
+        } catch (error) {
+            logger.error('Error loading photo search synonyms', { filePath: synonymsFile, error });
+        }
+    }
+
+    // Fetch the full photo list and rebuild the index; a failed sync keeps the previous index
+    async function sync() {
+        reloadSynonyms();
+        try {
+            const photos = await repository.listAll({ refresh: true });
+            entries = photos.filter(isValidPhotoPath).map(photo => ({ photo, terms: photoTerms(photo) }));
+            syncedAt = now();
+            logger.info('Synced photo index', { photos: entries.length, synonyms: synonyms.size });
+        } catch (error) {
+            logger.error('Photo index sync failed, keeping the previous index', { error });
+        }
+        return entries.length;
+    }
+
+    // All indexed photos scoring at least minScore for `query`, best first, as
+    // { photo, score, term } where term is the index term that matched
+    function rank(query) {
+        const normalized = normalizeSearchText(query);
+        if (!normalized) return [];
+        const variants = [{ text: normalized, weight: 1 }];
+        for (const synonym of synonyms.get(normalized) || []) {
+            variants.push({ text: synonym, weight: SYNONYM_WEIGHT });
+        }
+
+        const results = [];
+        for (const { photo, terms } of entries) {
+            let best = { score: 0, term: null };
+            for (const variant of variants) {
+                for (const term of terms) {
+                    const score = scoreTerm(variant.text, term) * variant.weight;
+                    if (score > best.score) best = { score, term };
+                }
+            }
+            if (best.score >= minScore) {
+                results.push({ photo, ...best });
+            }
+        }
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    // The best matching photos for `query`; [] when nothing matches well enough
+    function find(query) {
+        const ranked = rank(query);
+        if (ranked.length === 0) return [];
+        const bestScore = ranked[0].score;
+        return ranked.filter(result => result.score >= bestScore - TIE_MARGIN).map(result => result.photo);
+    }
+
+    // Same contract as the repository's search(): the index first, then the API
+    async function search(keyword) {
+        if (syncedAt === null) {
+            metrics.photoIndex.inc({ result: 'not-synced' });
+            return repository.search(keyword);
+        }
+        const photos = find(keyword);
+        if (photos.length > 0) {
+            metrics.photoIndex.inc({ result: 'hit' });
+            logger.info('Found photos in the local index', { keyword, photoCount: photos.length });
+            return photos;
+        }
+        metrics.photoIndex.inc({ result: 'miss' });
+        logger.info('No good match in the local index, asking the photo API', { keyword });
+        return repository.search(keyword);
+    }
+
+    async function searchMany(keywords) {
+        const settled = await Promise.allSettled(keywords.map(keyword => search(keyword)));
+        return settled.map((outcome, i) => (outcome.status === 'fulfilled'
+            ? { keyword: keywords[i], photos: outcome.value, error: null }
+            : { keyword: keywords[i], photos: [], error: outcome.reason }));
+    }
+
+    // Sync now and then every syncIntervalMs; an interval of 0 disables the index
+    function start() {
+        if (timer || syncIntervalMs <= 0) return;
+        sync();
+        timer = setInterval(sync, syncIntervalMs);
+        timer.unref();
+        logger.info('Photo index sync started', { intervalMs: syncIntervalMs });
+    }
+
+    function stop() {
+        if (timer) clearInterval(timer);
+        timer = null;
+    }
+
+    return {
+        listAll: (options) => repository.listAll(options),
+        search,
+        searchMany,
+        clearCache: () => repository.clearCache(),
+        ping: () => repository.ping(),
+        sync,
+        rank,
+        start,
+        stop,
+        get size() { return entries.length; },
+        get syncedAt() { return syncedAt; },
+    };
+}
+
+module.exports = { createPhotoIndex, scoreTerm };
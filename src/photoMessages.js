@@ -0,0 +1,48 @@
+'use strict';
+
+const { logger } = require('./logger');
+
+// Shared helpers for turning photo API results into LINE messages.
+
+// Returns "type/id" for logging with the id redacted, e.g. "user/U#1a2b3c4d5e6f".
+function describeSource(source) {
+    return `${source.type}/${logger.redact(source.userId || source.groupId || source.roomId)}`;
+}
+
+// Key used to remember per-chat state: the group or room for shared chats, else the user
+function getChatKey(source) {
+    return source.groupId || source.roomId || source.userId;
+}
+
+// Photos from the API must have a path like "/Photos/xxx.jpg"
+function isValidPhotoPath(photo) {
+    return Boolean(photo && photo.path && photo.path.startsWith('/Photos/'));
+}
+
+// LINE requires https image URLs
+function toSecureImageUrl(photoBaseUrl, photo) {
+    const imageUrl = photoBaseUrl + photo.path;
+    return imageUrl.startsWith('https://') ? imageUrl : imageUrl.replace('http://', 'https://');
+}
+
+function createImageMessage(photoBaseUrl, photo) {
+    const secureImageUrl = toSecureImageUrl(photoBaseUrl, photo);
+    return {
+        type: 'image',
+        originalContentUrl: secureImageUrl,
+        previewImageUrl: secureImageUrl,
+    };
+}
+
+function createTextMessage(text) {
+    return { type: 'text', text };
+}
+
+module.exports = {
+    describeSource,
+    getChatKey,
+    isValidPhotoPath,
+    toSecureImageUrl,
+    createImageMessage,
+    createTextMessage,
+};
@@ -0,0 +1,119 @@
+'use strict';
+
+const axios = require('axios');
+const { createTtlCache } = require('./ttlCache');
+const { logger } = require('./logger');
+const { metrics: sharedMetrics } = require('./metrics');
+
+// --- Photo Repository ---
+// Wraps PHOTO_API_URL with per-request timeouts, bounded retries with
+// exponential backoff and a TTL cache. Concurrent lookups for the same
+// keyword share one in-flight request. Every HTTP attempt is timed and added
+// to the current event's log summary.
+
+const ALL_PHOTOS_KEY = '\u0000all'; // Cache key for the unfiltered list used by "院長好"
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry network errors, timeouts, 429 and 5xx; other 4xx responses will not change on retry
+function isRetryable(error) {
+    if (!error.response) return true;
+    const status = error.response.status;
+    return status === 429 || status >= 500;
+}
+
+function createPhotoRepository({
+    apiUrl,
+    timeoutMs = 3000,
+    retries = 2,
+    retryDelayMs = 200,
+    cacheTtlMs = 5 * 60 * 1000,
+    maxCacheEntries = 500,
+    httpClient = axios,
+    metrics = sharedMetrics,
+}) {
+    const cache = createTtlCache({ ttlMs: cacheTtlMs, maxEntries: maxCacheEntries });
+    const inFlight = new Map();
+
+    async function fetchWithRetry(url) {
+        let attempt = 0;
+        for (;;) {
+            const startedAt = Date.now();
+            try {
+                const response = await httpClient.get(url, { timeout: timeoutMs });
+                const photos = Array.isArray(response.data) ? response.data : [];
+                const durationMs = Date.now() - startedAt;
+                logger.recordLatency('photoApi', durationMs);
+                logger.debug('Photo API request', { url, attempt, durationMs, photoCount: photos.length });
+                return photos;
+            } catch (error) {
+                logger.recordLatency('photoApi', Date.now() - startedAt);
+                if (attempt >= retries || !isRetryable(error)) {
+                    throw error;
+                }
+                const delay = retryDelayMs * Math.pow(2, attempt);
+                attempt++;
+                logger.warn('Photo API request failed, retrying', { url, attempt, retries, delayMs: delay, error });
+                await sleep(delay);
+            }
+        }
+    }
+
+    // `refresh` skips the cache but still shares an in-flight request
+    function load(key, url, { refresh = false } = {}) {
+        const cached = refresh ? undefined : cache.get(key);
+        if (cached !== undefined) {
+            metrics.photoCache.inc({ result: 'hit' });
+            return Promise.resolve(cached);
+        }
+        if (inFlight.has(key)) {
+            metrics.photoCache.inc({ result: 'coalesced' });
+            return inFlight.get(key);
+        }
+        metrics.photoCache.inc({ result: 'miss' });
+        const request = fetchWithRetry(url)
+            .then(photos => cache.set(key, photos))
+            .finally(() => inFlight.delete(key));
+        inFlight.set(key, request);
+        return request;
+    }
+
+    // All photos (no search term); `refresh` fetches a new list (see ./photoIndex)
+    function listAll({ refresh = false } = {}) {
+        return load(ALL_PHOTOS_KEY, apiUrl, { refresh });
+    }
+
+    // Photos matching a single keyword via the API's ?search= parameter
+    function search(keyword) {
+        return load(`search:${keyword}`, `${apiUrl}?search=${encodeURIComponent(keyword)}`);
+    }
+
+    // Query several keywords in parallel. Results keep the order of `keywords`
+    // so callers can still give the first keyword priority; a failed lookup
+    // yields { keyword, photos: [], error } instead of rejecting the batch.
+    async function searchMany(keywords) {
+        const settled = await Promise.allSettled(keywords.map(keyword => search(keyword)));
+        return settled.map((outcome, i) => (outcome.status === 'fulfilled'
+            ? { keyword: keywords[i], photos: outcome.value, error: null }
+            : { keyword: keywords[i], photos: [], error: outcome.reason }));
+    }
+
+    function clearCache() {
+        cache.clear();
+    }
+
+    // One uncached request for the photo list without retries, for readiness
+    // checks. Resolves with the response time in milliseconds or rejects with
+    // the error.
+    async function ping() {
+        const startedAt = Date.now();
+        await httpClient.get(apiUrl, { timeout: timeoutMs });
+        return Date.now() - startedAt;
+    }
+
+    return { listAll, search, searchMany, clearCache, ping };
+}
+
+module.exports = { createPhotoRepository };
@@ -0,0 +1,79 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// --- Prompt Library ---
+// Prompt templates live in PROMPTS_DIR as "<name>.txt" files:
+//
+//   ---
+//   version: 3
+//   ---
+//   template text with {{variableName}} placeholders
+//
+// Files are re-read when their modification time changes, so prompts can be
+// tuned without a redeploy. Each rendered prompt carries a version id
+// ("name@version#hash") that callers log next to the generated reply.
+// `defaults` are variables every template can use, e.g. the bot's persona.
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/;
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+function parseTemplate(name, source) {
+    let body = source;
+    let version = 'unversioned';
+    const frontMatter = source.match(FRONT_MATTER);
+    if (frontMatter) {
+        body = source.slice(frontMatter[0].length);
+        const versionLine = frontMatter[1].match(/^version:\s*(.+)$/m);
+        if (versionLine) version = versionLine[1].trim();
+    }
+    body = body.replace(/\s+$/, '');
+    const hash = crypto.createHash('sha1').update(body).digest('hex').slice(0, 8);
+    return { body, versionId: `${name}@${version}#${hash}` };
+}
+
+function createPromptLibrary({ dir, defaults = {} }) {
+    const templates = new Map(); // name -> { body, versionId, mtimeMs }
+
+    function load(name) {
+        const filePath = path.join(dir, `${name}.txt`);
+        const cached = templates.get(name);
+        let stat;
+        try {
+            stat = fs.statSync(filePath);
+        } catch (err) {
+            if (cached) {
+                logger.error('Prompt template is unavailable, keeping the cached version', { filePath, promptVersion: cached.versionId, error: err });
+                return cached;
+            }
+            throw new Error(`Prompt template "${name}" not found at ${filePath}`);
+        }
+        if (cached && cached.mtimeMs === stat.mtimeMs) {
+            return cached;
+        }
+        const template = { ...parseTemplate(name, fs.readFileSync(filePath, 'utf8')), mtimeMs: stat.mtimeMs };
+        logger.info(`${cached ? 'Reloaded' : 'Loaded'} prompt template`, { promptVersion: template.versionId });
+        templates.set(name, template);
+        return template;
+    }
+
+    // Returns { text, version }. Throws if the template uses a variable that was not provided.
+    function render(name, templateVariables = {}) {
+        const template = load(name);
+        const variables = { ...defaults, ...templateVariables };
+        const text = template.body.replace(PLACEHOLDER, (placeholder, key) => {
+            if (!(key in variables)) {
+                throw new Error(`Prompt template ${template.versionId} uses unknown variable "${key}"`);
+            }
+            return String(variables[key]);
+        });
+        return { text, version: template.versionId };
+    }
+
+    return { render };
+}
+
+module.exports = { createPromptLibrary };
@@ -0,0 +1,77 @@
+'use strict';
+
+const { DEFAULT_PREFIX } = require('./persona');
+
+// --- Quick Replies ---
+// Helpers for postback data and quick-reply chips. Postback data is a
+// URL-encoded query string: "action" selects the command (see
+// postbackAction in commandRegistry.js), "q" carries its argument and
+// "more=1" marks a "再一張" repeat of the same request.
+
+const MAX_QUICK_REPLY_ITEMS = 13; // LINE limit per message
+const MAX_LABEL_LENGTH = 20; // LINE limit for action labels
+const MAX_Q_LENGTH = 30; // Postback data is limited to 300 characters and each encoded CJK character takes 9
+
+function createPostbackData(action, q, { more = false } = {}) {
+    const params = { action };
+    if (q) params.q = q.slice(0, MAX_Q_LENGTH);
+    if (more) params.more = '1';
+    return new URLSearchParams(params).toString();
+}
+
+function truncateLabel(label) {
+    return label.length > MAX_LABEL_LENGTH ? `${label.slice(0, MAX_LABEL_LENGTH - 1)}…` : label;
+}
+
+function createPostbackItem(label, action, q, displayText = label, options) {
+    return {
+        type: 'action',
+        action: {
+            type: 'postback',
+            label: truncateLabel(label),
+            data: createPostbackData(action, q, options),
+            displayText,
+        },
+    };
+}
+
+function createMessageItem(label, text = label) {
+    return { type: 'action', action: { type: 'message', label: truncateLabel(label), text } };
+}
+
+// Common chips for a bot addressed as `prefix`
+function createQuickReplyItems(prefix = DEFAULT_PREFIX) {
+    return {
+        moreTag: tag => createPostbackItem('再一張', 'tag', tag, `再一張「${tag}」`, { more: true }),
+        moreRandom: () => createPostbackItem('再一張', 'greeting', null, `${prefix}好`),
+        quote: () => createPostbackItem('金句', 'quote', null, `${prefix}，金句`),
+        relatedTag: tag => createPostbackItem(tag, 'tag', tag, `${prefix}，${tag}`),
+    };
+}
+
+// Attach quick-reply items to the last message, keeping any items already
+// there. Accepts a single message or an array and returns the same shape.
+function attachQuickReply(messages, items) {
+    if (!items || items.length === 0) return messages;
+    const list = Array.isArray(messages) ? messages.slice() : [messages];
+    const last = list.length - 1;
+    const existing = (list[last].quickReply && list[last].quickReply.items) || [];
+    const labels = new Set();
+    const merged = existing.concat(items).filter(item => {
+        // Drop duplicate chips, e.g. a related tag equal to the current tag
+        const key = item.action.label;
+        if (labels.has(key)) return false;
+        labels.add(key);
+        return true;
+    });
+    list[last] = { ...list[last], quickReply: { items: merged.slice(0, MAX_QUICK_REPLY_ITEMS) } };
+    return Array.isArray(messages) ? list : list[0];
+}
+
+module.exports = {
+    createPostbackData,
+    createPostbackItem,
+    createMessageItem,
+    createQuickReplyItems,
+    attachQuickReply,
+};
@@ -0,0 +1,176 @@
+'use strict';
+
+const { normalizeSearchText } = require('./chineseText');
+const { createTtlCache } = require('./ttlCache');
+const { logger } = require('./logger');
+
+// --- Quote Ranker ---
+// Finds the quotes most relevant to a topic or message. The local ranking
+// scores shared character bigrams (weighted double) and single characters by
+// how rare they are across quotes.json, slightly favoring shorter quotes; a
+// quote needs a shared bigram to count, unless the topic is one character.
+// When the LLM provider can embed text, rank() mixes in the cosine similarity
+// of embeddings (quote embeddings are computed once per text and kept in
+// memory, and query embeddings are cached per normalized query, so repeated
+// topics cost no embedding call); any embedding failure falls back to the
+// local ranking.
+
+// Characters too common to say anything about the topic
+const STOP_CHARACTERS = new Set(Array.from('的了是我你他她它們在有和與就也都很嗎呢吧啊喔啦這那一不個要會說'));
+const EMBEDDING_WEIGHT = 0.7;
+const MIN_SIMILARITY = 0.5; // Embedding matches below this are unrelated
+const EMBEDDING_BATCH_SIZE = 100;
+const EMBEDDING_RETRY_MS = 10 * 60 * 1000;
+const QUERY_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const QUERY_CACHE_SIZE = 200;
+
+function toGrams(text) {
+    const chars = Array.from(normalizeSearchText(text));
+    const bigrams = new Set();
+    for (let i = 0; i + 1 < chars.length; i++) {
+        bigrams.add(chars[i] + chars[i + 1]);
+    }
+    return {
+        unigrams: new Set(chars.filter(char => !STOP_CHARACTERS.has(char))),
+        bigrams,
+        length: chars.length,
+    };
+}
+
+function cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// `getTexts` returns the current quotes (quoteStore.texts); the local index is
+// rebuilt whenever it returns a different array. `embeddings` false turns
+// embeddings off even when the provider supports them.
+function createQuoteRanker({ getTexts, llm = null, embeddings = true, now = Date.now }) {
+    const canEmbed = Boolean(embeddings && llm && llm.enabled && typeof llm.embed === 'function');
+    let indexed = { texts: null, docs: [], idf: new Map(), averageLength: 1 };
+    const vectors = new Map(); // quote text -> embedding
+    const queryVectors = createTtlCache({ ttlMs: QUERY_CACHE_TTL_MS, maxEntries: QUERY_CACHE_SIZE });
+    let embedding = null; // In-flight quote embedding request
+    let embedRetryAt = 0;
+
+    function getIndex() {
+        const texts = getTexts();
+        if (indexed.texts === texts) return indexed;
+        const docs = texts.map(text => ({ text, ...toGrams(text) }));
+        const documentFrequency = new Map();
+        for (const doc of docs) {
+            for (const gram of [...doc.unigrams, ...doc.bigrams]) {
+                documentFrequency.set(gram, (documentFrequency.get(gram) || 0) + 1);
+            }
+        }
+        const idf = new Map();
+        documentFrequency.forEach((count, gram) => idf.set(gram, Math.log(1 + docs.length / count)));
+        const averageLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1) || 1;
+        indexed = { texts, docs, idf, averageLength };
+        return indexed;
+    }
+
+    // Local ranking: [{ text, score }] for the quotes sharing enough with `query`, best first
+    function rankLocal(query) {
+        const { docs, idf, averageLength } = getIndex();
+        const queryGrams = toGrams(query);
+        if (queryGrams.unigrams.size === 0) return [];
+        const results = [];
+        for (const doc of docs) {
+            let score = 0;
+            let bigramHits = 0;
+            for (const bigram of queryGrams.bigrams) {
+                if (doc.bigrams.has(bigram)) {
+                    score += 2 * idf.get(bigram);
+                    bigramHits++;
+                }
+            }
+            for (const unigram of queryGrams.unigrams) {
+                if (doc.unigrams.has(unigram)) score += idf.get(unigram);
+            }
+            const relevant = bigramHits > 0 || (queryGrams.unigrams.size === 1 && score > 0);
+            if (relevant) {
+                results.push({ text: doc.text, score: score / (0.75 + 0.25 * doc.length / averageLength) });
+            }
+        }
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    // Embeds the quotes that have no embedding yet. Resolves false while
+    // embeddings are unavailable (after a failure, until EMBEDDING_RETRY_MS).
+    function embedQuotes(texts) {
+        const missing = texts.filter(text => !vectors.has(text));
+        if (missing.length === 0) return Promise.resolve(true);
+        if (now() < embedRetryAt) return Promise.resolve(false);
+        if (!embedding) {
+            embedding = (async () => {
+                for (let i = 0; i < missing.length; i += EMBEDDING_BATCH_SIZE) {
+                    const batch = missing.slice(i, i + EMBEDDING_BATCH_SIZE);
+                    const batchVectors = await llm.embed(batch);
+                    batch.forEach((text, j) => vectors.set(text, batchVectors[j]));
+                }
+                logger.info('Embedded quotes for relevance ranking', { count: missing.length });
+                return true;
+            })()
+                .catch(error => {
+                    logger.warn('Could not embed quotes, ranking them locally', { error });
+                    embedRetryAt = now() + EMBEDDING_RETRY_MS;
+                    return false;
+                })
+                .finally(() => { embedding = null; });
+        }
+        return embedding;
+    }
+
+    // The embedding of a query, from the cache when the same normalized query
+    // was embedded recently
+    async function embedQuery(query) {
+        const key = normalizeSearchText(query);
+        let vector = queryVectors.get(key);
+        if (!vector) {
+            [vector] = await llm.embed([query]);
+        }
+        queryVectors.set(key, vector); // Keeps recently used queries the longest
+        return vector;
+    }
+
+    // The `limit` most relevant quotes as [{ text, score }], best first
+    async function rank(query, { limit = 5 } = {}) {
+        const local = rankLocal(query);
+        if (!canEmbed || !normalizeSearchText(query)) {
+            return local.slice(0, limit);
+        }
+        const { texts } = getIndex();
+        try {
+            if (!await embedQuotes(texts)) return local.slice(0, limit);
+            const queryVector = await embedQuery(query);
+            const bestLocal = local.length > 0 ? local[0].score : 1;
+            const localScores = new Map(local.map(result => [result.text, result.score / bestLocal]));
+            return texts
+                .map(text => {
+                    // Quotes added while their embeddings were being computed have none yet
+                    const similarity = vectors.has(text) ? cosine(queryVector, vectors.get(text)) : 0;
+                    const localScore = localScores.get(text) || 0;
+                    return { text, similarity, score: EMBEDDING_WEIGHT * similarity + (1 - EMBEDDING_WEIGHT) * localScore };
+                })
+                .filter(result => result.similarity >= MIN_SIMILARITY || localScores.has(result.text))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, limit)
+                .map(({ text, score }) => ({ text, score }));
+        } catch (error) {
+            logger.warn('Could not embed the query, ranking quotes locally', { error });
+            return local.slice(0, limit);
+        }
+    }
+
+    return { rank, rankLocal, get usesEmbeddings() { return canEmbed; } };
+}
+
+module.exports = { createQuoteRanker };
@@ -0,0 +1,194 @@
+'use strict';
+
+const fs = require('fs');
+const { writeFileAtomic } = require('./jsonFileStore');
+const { logger } = require('./logger');
+
+// --- Quote Store ---
+// Quotes from quotes.json, editable at runtime through the admin API and
+// written back atomically. Entries are plain strings, or
+// { "text": "...", "styleExample": true } for quotes picked as style examples.
+//
+// Style examples are the quotes put into generation prompts, up to maxChars:
+//   relevant: the quotes most relevant to the message, passed in by the caller
+//             (see ./quoteRanker); a random sample when none are (default)
+//   random:   a new random sample for every prompt
+//   first:    quotes in file order, cut at maxChars (the original behaviour)
+//   selected: only quotes marked styleExample, in file order
+
+const STYLE_MODES = ['relevant', 'random', 'first', 'selected'];
+
+function createQuoteError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function normalizeEntry(entry, index) {
+    if (typeof entry === 'string' && entry.trim()) {
+        return { text: entry, styleExample: false };
+    }
+    if (entry && typeof entry.text === 'string' && entry.text.trim()) {
+        return { text: entry.text, styleExample: Boolean(entry.styleExample) };
+    }
+    throw createQuoteError(400, `Quote #${index} must be a non-empty string or an object with a non-empty "text".`);
+}
+
+function validateStyleOptions({ mode, maxChars }) {
+    if (mode !== undefined && !STYLE_MODES.includes(mode)) {
+        throw createQuoteError(400, `Unknown style example mode "${mode}", expected one of: ${STYLE_MODES.join(', ')}.`);
+    }
+    if (maxChars !== undefined && !(Number.isInteger(maxChars) && maxChars > 0)) {
+        throw createQuoteError(400, '"maxChars" must be a positive integer.');
+    }
+}
+
+// settingsStore (optional): a jsonFileStore that keeps style options changed at runtime
+function createQuoteStore({
+    filePath,
+    defaultQuote,
+    styleOptions = {},
+    settingsStore = null,
+    random = Math.random,
+}) {
+    let entries = [];
+    let texts = [defaultQuote];
+    let style = { mode: 'relevant', maxChars: 1500, ...styleOptions, ...(settingsStore && settingsStore.get('style')) };
+    validateStyleOptions(style);
+    let writeChain = Promise.resolve();
+
+    function setEntries(newEntries) {
+        entries = newEntries;
+        texts = entries.length > 0 ? entries.map(entry => entry.text) : [defaultQuote];
+    }
+
+    function toView(entry, id) {
+        return { id, text: entry.text, styleExample: entry.styleExample };
+    }
+
+    // (Re)load quotes from disk. Throws, keeping the current quotes, if the file is invalid.
+    function reload() {
+        if (!fs.existsSync(filePath)) {
+            throw createQuoteError(500, `Quotes file not found at ${filePath}`);
+        }
+        const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!Array.isArray(parsed) || parsed.length === 0) {
+            throw createQuoteError(500, `${filePath} is empty or not a valid JSON array.`);
+        }
+        setEntries(parsed.map(normalizeEntry));
+        logger.info('Loaded Korean Yu quotes', { count: entries.length });
+        return entries.length;
+    }
+
+    // Serialized atomic writes; plain quotes stay plain strings in the file
+    function persist() {
+        const serialized = entries.map(entry => (entry.styleExample ? { text: entry.text, styleExample: true } : entry.text));
+        const content = `${JSON.stringify(serialized, null, 2)}\n`;
+        const write = writeChain.then(() => writeFileAtomic(filePath, content));
+        writeChain = write.catch(err => logger.error('Error writing quotes file', { filePath, error: err }));
+        return write;
+    }
+
+    function checkId(id) {
+        if (!Number.isInteger(id) || id < 0 || id >= entries.length) {
+            throw createQuoteError(404, `Quote ${id} not found.`);
+        }
+    }
+
+    async function add(quote) {
+        const entry = normalizeEntry(quote, entries.length);
+        setEntries(entries.concat(entry));
+        await persist();
+        return toView(entry, entries.length - 1);
+    }
+
+    async function update(id, changes) {
+        checkId(id);
+        const entry = normalizeEntry({ ...entries[id], ...changes }, id);
+        setEntries(entries.map((existing, index) => (index === id ? entry : existing)));
+        await persist();
+        return toView(entry, id);
+    }
+
+    async function remove(id) {
+        checkId(id);
+        const [removed] = entries.slice(id, id + 1);
+        setEntries(entries.filter((_, index) => index !== id));
+        await persist();
+        return toView(removed, id);
+    }
+
+    function sample(pool) {
+        const shuffled = pool.slice();
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return fit(shuffled);
+    }
+
+    function truncate(pool) {
+        const joined = pool.join('\n');
+        return joined.length > style.maxChars ? `${joined.substring(0, style.maxChars)}...` : joined;
+    }
+
+    // Quotes in the given order, skipping any that would go past maxChars
+    function fit(pool) {
+        const chosen = [];
+        let length = 0;
+        for (const text of pool) {
+            const added = text.length + (chosen.length > 0 ? 1 : 0);
+            if (length + added > style.maxChars) continue;
+            chosen.push(text);
+            length += added;
+        }
+        return chosen.join('\n');
+    }
+
+    // The quotes string for a generation prompt. `relevant` are the quotes
+    // ranked for the message, used in "relevant" mode.
+    function getStyleExamples({ relevant = [] } = {}) {
+        if (style.mode === 'relevant' && relevant.length > 0) {
+            return fit(relevant);
+        }
+        if (style.mode === 'random' || style.mode === 'relevant') {
+            return sample(texts);
+        }
+        if (style.mode === 'selected') {
+            const selected = entries.filter(entry => entry.styleExample).map(entry => entry.text);
+            if (selected.length > 0) return truncate(selected);
+        }
+        return truncate(texts);
+    }
+
+    async function setStyleOptions(options) {
+        validateStyleOptions(options);
+        style = {
+            mode: options.mode !== undefined ? options.mode : style.mode,
+            maxChars: options.maxChars !== undefined ? options.maxChars : style.maxChars,
+        };
+        if (settingsStore) await settingsStore.set('style', style);
+        logger.info('Quote style examples changed', style);
+        return { ...style };
+    }
+
+    try {
+        reload();
+    } catch (err) {
+        logger.error('Error reading or parsing quotes', { filePath, error: err });
+    }
+
+    return {
+        reload,
+        list: () => entries.map(toView),
+        texts: () => texts,
+        add,
+        update,
+        remove,
+        getStyleExamples,
+        getStyleOptions: () => ({ ...style }),
+        setStyleOptions,
+    };
+}
+
+module.exports = { createQuoteStore, STYLE_MODES };
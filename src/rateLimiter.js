@@ -0,0 +1,69 @@
+'use strict';
+
+// --- Rate Limiting ---
+// Fixed-window counters keyed on the event source. Commands are either
+// "cheap" (quotes, cached photos) or "expensive" (may call the LLM), and each
+// cost has its own per-user and per-group/room budget.
+//
+// Counter stores implement:
+//   async increment(key, windowMs) -> { count, resetAt }
+// The memory store is the default; a shared store (e.g. Redis) can implement
+// the same method to share limits between instances.
+
+function createMemoryCounterStore({ now = Date.now, pruneEvery = 1000 } = {}) {
+    const counters = new Map();
+    let operations = 0;
+
+    function pruneExpired() {
+        const currentTime = now();
+        for (const [key, entry] of counters) {
+            if (entry.resetAt <= currentTime) counters.delete(key);
+        }
+    }
+
+    return {
+        async increment(key, windowMs) {
+            if (++operations % pruneEvery === 0) pruneExpired();
+            let entry = counters.get(key);
+            if (!entry || entry.resetAt <= now()) {
+                entry = { count: 0, resetAt: now() + windowMs };
+                counters.set(key, entry);
+            }
+            entry.count++;
+            return { count: entry.count, resetAt: entry.resetAt };
+        },
+    };
+}
+
+// limits: { cheap: { perUser, perChat }, expensive: { perUser, perChat } }
+// A limit of 0 disables that check.
+function createRateLimiter({ store = createMemoryCounterStore(), limits, windowMs = 60 * 1000 }) {
+    // Count one use of `cost` for the source. Returns { allowed, firstRejection }
+    // where firstRejection is true only for the first rejected use in a window,
+    // so the throttle reply is sent once instead of answering spam with spam.
+    async function consume(source, cost = 'cheap') {
+        const budget = limits[cost] || {};
+        const checks = [];
+        if (source.userId && budget.perUser > 0) {
+            checks.push({ key: `${cost}:user:${source.userId}`, limit: budget.perUser });
+        }
+        const sharedChatId = source.groupId || source.roomId;
+        if (sharedChatId && budget.perChat > 0) {
+            checks.push({ key: `${cost}:chat:${sharedChatId}`, limit: budget.perChat });
+        }
+
+        // Stop at the first exhausted budget so a user spamming a group does
+        // not also use up the group's budget for everyone else
+        for (const { key, limit } of checks) {
+            const { count } = await store.increment(key, windowMs);
+            if (count > limit) {
+                return { allowed: false, firstRejection: count === limit + 1 };
+            }
+        }
+        return { allowed: true, firstRejection: false };
+    }
+
+    return { consume };
+}
+
+module.exports = { createRateLimiter, createMemoryCounterStore };
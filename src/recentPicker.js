@@ -0,0 +1,109 @@
+'use strict';
+
+const { createTtlCache } = require('./ttlCache');
+
+// --- Recent Picker ---
+// Picks a random item per chat while avoiding repeats. Each chat (user,
+// group or room) remembers which items it has already been sent.
+//
+// Modes:
+//   cycle:    never repeat an item until every item in the pool has been sent,
+//             then start over (without repeating the last item sent)
+//   weighted: any item may be picked, but items sent fewer times are favored
+//             (weight 1 / (1 + timesSent)); the last item sent is still avoided
+
+const GLOBAL_KEY = '\u0000global'; // Used when no chat key is given
+
+function createRecentPicker({
+    mode = 'cycle',
+    maxHistory = 500,
+    chatTtlMs = 24 * 60 * 60 * 1000,
+    maxChats = 5000,
+    random = Math.random,
+} = {}) {
+    if (!['cycle', 'weighted'].includes(mode)) {
+        throw new Error(`Unknown picker mode "${mode}", expected "cycle" or "weighted".`);
+    }
+    const chats = createTtlCache({ ttlMs: chatTtlMs, maxEntries: maxChats });
+
+    function getState(chatKey) {
+        const key = chatKey || GLOBAL_KEY;
+        let state = chats.get(key);
+        if (!state) {
+            state = { sent: new Set(), counts: new Map(), last: null };
+        }
+        chats.set(key, state); // Refresh the TTL on every use
+        return state;
+    }
+
+    // Keep the per-chat memory bounded; Set/Map iterate in insertion order
+    function trim(collection) {
+        while (collection.size > maxHistory) {
+            collection.delete(collection.keys().next().value);
+        }
+    }
+
+    function pickUniform(items) {
+        return items[Math.floor(random() * items.length)];
+    }
+
+    function pickWeighted(items, ids, state) {
+        const weights = ids.map(id => 1 / (1 + (state.counts.get(id) || 0)));
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        let roll = random() * total;
+        for (let i = 0; i < items.length; i++) {
+            roll -= weights[i];
+            if (roll < 0) return items[i];
+        }
+        return items[items.length - 1];
+    }
+
+    // Pick one of `items` for the chat. `getId` maps an item to a stable id
+    // (e.g. a photo path); items are used as their own id by default.
+    function pick(chatKey, items, getId = item => item) {
+        if (!items || items.length === 0) return undefined;
+        if (items.length === 1) return items[0];
+
+        const state = getState(chatKey);
+        let candidates = items.filter(item => getId(item) !== state.last);
+        if (candidates.length === 0) candidates = items;
+
+        let chosen;
+        if (mode === 'weighted') {
+            chosen = pickWeighted(candidates, candidates.map(getId), state);
+        } else {
+            let unsent = candidates.filter(item => !state.sent.has(getId(item)));
+            if (unsent.length === 0) {
+                // Pool exhausted: forget this pool and start a new round
+                items.forEach(item => state.sent.delete(getId(item)));
+                unsent = candidates;
+            }
+            chosen = pickUniform(unsent);
+        }
+
+        const id = getId(chosen);
+        state.last = id;
+        state.sent.delete(id);
+        state.sent.add(id);
+        state.counts.set(id, (state.counts.get(id) || 0) + 1);
+        trim(state.sent);
+        trim(state.counts);
+        return chosen;
+    }
+
+    // Pick up to `count` distinct items for the chat, in pick order
+    function pickMany(chatKey, items, count, getId = item => item) {
+        const chosen = [];
+        let remaining = items || [];
+        while (chosen.length < count && remaining.length > 0) {
+            const item = pick(chatKey, remaining, getId);
+            chosen.push(item);
+            remaining = remaining.filter(other => getId(other) !== getId(item));
+        }
+        return chosen;
+    }
+
+    return { pick, pickMany };
+}
+
+module.exports = { createRecentPicker };
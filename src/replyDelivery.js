@@ -0,0 +1,70 @@
+'use strict';
+
+const { getChatKey } = require('./photoMessages');
+const { logger } = require('./logger');
+const { metrics: sharedMetrics } = require('./metrics');
+
+// --- Reply Delivery ---
+// Sends the messages answering an event. Replies are free but the reply token
+// only works for a short time after the event was sent, so an event whose
+// token is too old, or whose reply LINE rejects as an invalid token (e.g. a
+// slow LLM call or a redelivered webhook), is answered with a push message
+// to the chat instead.
+
+// LINE answers an expired or already used reply token with 400 "Invalid reply token"
+function isInvalidReplyToken(err) {
+    const status = err.statusCode || err.status;
+    const apiMessage = err.originalError && err.originalError.response && err.originalError.response.data
+        ? err.originalError.response.data.message
+        : '';
+    return status === 400 && /reply token/i.test(`${apiMessage} ${err.message}`);
+}
+
+// `messagingClient` is a messagingApi.MessagingApiClient, which has the loading
+// animation API the legacy client lacks; `loadingSeconds` 0 disables the animation
+function createReplyDelivery({ client, messagingClient, replyTokenTtlMs = 50 * 1000, loadingSeconds = 20, metrics = sharedMetrics, now = Date.now }) {
+    async function push(event, messages, reason) {
+        logger.info('Answering with a push message instead of a reply', { reason });
+        metrics.pushFallbacks.inc({ reason });
+        try {
+            return await client.pushMessage(getChatKey(event.source), messages);
+        } catch (err) {
+            metrics.replyFailures.inc({ status: err.statusCode || err.status || 'error' });
+            throw err;
+        }
+    }
+
+    async function reply(event, messages) {
+        if (!event.replyToken) {
+            return push(event, messages, 'no-token');
+        }
+        if (event.timestamp && now() - event.timestamp > replyTokenTtlMs) {
+            return push(event, messages, 'expired');
+        }
+        try {
+            return await client.replyMessage(event.replyToken, messages);
+        } catch (err) {
+            if (isInvalidReplyToken(err)) {
+                return push(event, messages, 'invalid-token');
+            }
+            metrics.replyFailures.inc({ status: err.statusCode || err.status || 'error' });
+            throw err;
+        }
+    }
+
+    // Show the "typing" animation in a one-on-one chat until the next message
+    // is sent or `loadingSeconds` pass. LINE only supports it for users, and a
+    // failure only costs the animation.
+    async function showLoading(source) {
+        if (!messagingClient || loadingSeconds <= 0 || source.type !== 'user') return;
+        try {
+            await messagingClient.showLoadingAnimation({ chatId: source.userId, loadingSeconds });
+        } catch (error) {
+            logger.warn('Could not show the loading animation', { error });
+        }
+    }
+
+    return { reply, showLoading };
+}
+
+module.exports = { createReplyDelivery, isInvalidReplyToken };
@@ -0,0 +1,214 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./jsonFileStore');
+const { normalizeSearchText } = require('./chineseText');
+const { localDateTime } = require('./subscriptions');
+const { logger } = require('./logger');
+
+// --- Search Analytics ---
+// Every "院長，[tag]" search, kept in memory and appended to a JSON Lines file
+// so curators can see which tags the photo library lacks. Each record:
+//   at:          ISO 8601 time of the search
+//   day:         its local date ("YYYY-MM-DD") in `timeZone`, used by date ranges
+//   chatKey, sourceType: the chat searched from; chatKey is the redacted id
+//                (logger.redact), so the file and reports hold no LINE ids
+//   tag:         the tag as typed
+//   photoCount:  photos the tag itself found; 0 is a miss
+//   keywords:    the Gemini-expanded keywords searched after a miss
+//   hitKeyword:  the expanded keyword whose photos were sent, or null
+//   resolution:  how the search was answered (the event's log resolution)
+// Records older than `retentionDays` are dropped when the file is loaded and
+// once a day after that.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function createReportError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function isoDay(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+// Count rows into `map` under `key`, creating them with `create`
+function tally(map, key, create) {
+    if (!map.has(key)) map.set(key, create());
+    const row = map.get(key);
+    row.count++;
+    return row;
+}
+
+function byCount(a, b) {
+    return b.count - a.count || (a.lastAt < b.lastAt ? 1 : -1);
+}
+
+function createSearchAnalytics({ filePath, retentionDays = 90, timeZone = 'Asia/Taipei', now = Date.now }) {
+    let records = [];
+    let prunedAt = 0;
+    let writeChain = Promise.resolve();
+
+    function cutoff() {
+        return new Date(now() - retentionDays * DAY_MS).toISOString();
+    }
+
+    function load() {
+        if (!fs.existsSync(filePath)) return;
+        let skipped = 0;
+        for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                records.push(JSON.parse(line));
+            } catch (err) {
+                skipped++;
+            }
+        }
+        logger.info('Loaded search analytics file', { filePath, records: records.length, skipped });
+    }
+
+    function enqueueWrite(write) {
+        writeChain = writeChain
+            .then(write)
+            .catch(err => logger.error('Error writing search analytics file', { filePath, error: err }));
+        return writeChain;
+    }
+
+    // Drop expired records and rewrite the file without them
+    function prune() {
+        prunedAt = now();
+        const oldest = cutoff();
+        const kept = records.filter(record => record.at >= oldest);
+        if (kept.length === records.length) return writeChain;
+        logger.info('Pruned old search analytics records', { removed: records.length - kept.length, retentionDays });
+        records = kept;
+        const content = kept.map(record => `${JSON.stringify(record)}\n`).join('');
+        return enqueueWrite(() => writeFileAtomic(filePath, content));
+    }
+
+    try {
+        load();
+    } catch (err) {
+        logger.error('Error reading search analytics file, starting empty', { filePath, error: err });
+        records = [];
+    }
+    prune();
+
+    // Record one search; resolves once it has been written
+    function record({ chatKey, sourceType, tag, photoCount, keywords = [], hitKeyword = null, resolution }) {
+        const time = now();
+        const entry = {
+            at: new Date(time).toISOString(),
+            day: localDateTime(timeZone, time).date,
+            chatKey: logger.redact(chatKey),
+            sourceType,
+            tag,
+            photoCount,
+            keywords,
+            hitKeyword,
+            resolution: resolution || null,
+        };
+        if (time - prunedAt >= DAY_MS) prune();
+        records.push(entry);
+        return enqueueWrite(async () => {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+        });
+    }
+
+    // Records whose local day is within [from, to]; both default to the last 30 days
+    function query({ from, to } = {}) {
+        const range = {
+            from: from || localDateTime(timeZone, now() - 29 * DAY_MS).date,
+            to: to || localDateTime(timeZone, now()).date,
+        };
+        for (const [name, value] of Object.entries(range)) {
+            if (!DATE.test(value) || isoDay(`${value}T00:00:00Z`) !== value) {
+                throw createReportError(`${name} must be a date like 2024-01-31.`);
+            }
+        }
+        if (range.from > range.to) {
+            throw createReportError('from must not be after to.');
+        }
+        return { ...range, records: records.filter(r => r.day >= range.from && r.day <= range.to) };
+    }
+
+    // The curation report for a date range, with at most `limit` rows per list:
+    //   topMisses:       tags that found no photos themselves, with how many
+    //                    of those searches an expanded keyword rescued
+    //   topExpandedHits: expanded keywords that found the photos sent, with
+    //                    the tags they were expanded from (synonym candidates)
+    //   chats:           searches and misses per chat
+    // Tags are grouped by their normalized form, so "发大财" counts as "發大財".
+    function report({ from, to, limit = 20 } = {}) {
+        const range = query({ from, to });
+        const misses = new Map();
+        const expandedHits = new Map();
+        const chats = new Map();
+        let missCount = 0;
+        let rescued = 0;
+        for (const r of range.records) {
+            const chat = tally(chats, r.chatKey, () => ({ chatKey: r.chatKey, sourceType: r.sourceType, count: 0, misses: 0 }));
+            chat.lastAt = r.at;
+            if (r.photoCount > 0) continue;
+            missCount++;
+            chat.misses++;
+            const miss = tally(misses, normalizeSearchText(r.tag) || r.tag, () => ({ tag: r.tag, count: 0, rescued: 0 }));
+            miss.lastAt = r.at;
+            miss.lastResolution = r.resolution;
+            if (!r.hitKeyword) continue;
+            rescued++;
+            miss.rescued++;
+            const hit = tally(expandedHits, r.hitKeyword, () => ({ keyword: r.hitKeyword, count: 0, tags: [] }));
+            hit.lastAt = r.at;
+            if (!hit.tags.includes(r.tag)) hit.tags.push(r.tag);
+        }
+        return {
+            from: range.from,
+            to: range.to,
+            timeZone,
+            totals: { searches: range.records.length, misses: missCount, rescued, chats: chats.size },
+            topMisses: [...misses.values()].sort(byCount).slice(0, limit),
+            topExpandedHits: [...expandedHits.values()].sort(byCount).slice(0, limit),
+            chats: [...chats.values()]
+                .sort(byCount)
+                .slice(0, limit)
+                .map(({ count, ...chat }) => ({ ...chat, searches: count })),
+        };
+    }
+
+    // flush() resolves once every pending write is done
+    return { record, query, report, prune, flush: () => writeChain };
+}
+
+// --- CSV Export ---
+// Cells starting with =, +, - or @ are prefixed with ' so spreadsheets do not
+// run user-typed tags as formulas. The BOM makes Excel read the file as UTF-8.
+
+const CSV_COLUMNS = {
+    misses: ['tag', 'count', 'rescued', 'lastResolution', 'lastAt'],
+    'expanded-hits': ['keyword', 'count', 'tags', 'lastAt'],
+    chats: ['chatKey', 'sourceType', 'searches', 'misses', 'lastAt'],
+};
+const REPORT_LISTS = { misses: 'topMisses', 'expanded-hits': 'topExpandedHits', chats: 'chats' };
+
+function csvCell(value) {
+    let text = Array.isArray(value) ? value.join(' ') : String(value === null || value === undefined ? '' : value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One report list ("misses", "expanded-hits" or "chats") as CSV
+function reportToCsv(report, section) {
+    const columns = CSV_COLUMNS[section];
+    if (!columns) {
+        throw createReportError(`Unknown report section "${section}"; use ${Object.keys(CSV_COLUMNS).join(', ')}.`);
+    }
+    const rows = report[REPORT_LISTS[section]].map(row => columns.map(column => csvCell(row[column])).join(','));
+    return `\ufeff${[columns.join(','), ...rows].join('\r\n')}\r\n`;
+}
+
+module.exports = { createSearchAnalytics, reportToCsv };
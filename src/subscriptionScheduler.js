@@ -0,0 +1,102 @@
+'use strict';
+
+const { localDateTime } = require('./subscriptions');
+const { logger } = require('./logger');
+
+// --- Subscription Scheduler ---
+// Checks the subscriptions every `intervalMs` and delivers each one once per
+// local day, at or after its time (so a restart still catches up on the same
+// day). A failed delivery is retried with exponential backoff starting at
+// `retryDelayMs`; after `maxAttempts`, or on an error that will not change on
+// retry (e.g. the bot was blocked), that day's delivery is skipped. A
+// subscription that cannot be checked (e.g. a stored time zone that is no
+// longer known) is logged and skipped without holding up the others.
+
+// Retry network errors, 429 and 5xx from the LINE API; other 4xx responses will not change on retry
+function isRetryable(error) {
+    const status = error.statusCode || error.status || (error.response && error.response.status);
+    if (!status) return true;
+    return status === 429 || status >= 500;
+}
+
+function createSubscriptionScheduler({
+    subscriptions,
+    deliver,
+    intervalMs = 30 * 1000,
+    maxAttempts = 3,
+    retryDelayMs = 60 * 1000,
+    now = Date.now,
+}) {
+    const failures = new Map(); // chatKey -> { date, attempts, nextAttemptAt }
+    let timer = null;
+    let ticking = false;
+
+    async function deliverOne(subscription, date) {
+        const { chatKey } = subscription;
+        const failure = failures.get(chatKey);
+        if (failure && failure.date === date && failure.nextAttemptAt > now()) {
+            return;
+        }
+        const attempt = failure && failure.date === date ? failure.attempts + 1 : 1;
+        const context = { chat: logger.redact(chatKey), content: subscription.content, date, attempt };
+        try {
+            await deliver(subscription);
+            failures.delete(chatKey);
+            await subscriptions.markDelivered(chatKey, date);
+            logger.info('Delivered daily subscription', context);
+        } catch (error) {
+            if (attempt >= maxAttempts || !isRetryable(error)) {
+                failures.delete(chatKey);
+                await subscriptions.markDelivered(chatKey, date);
+                logger.error('Giving up on daily subscription delivery until tomorrow', { ...context, error });
+                return;
+            }
+            const delayMs = retryDelayMs * Math.pow(2, attempt - 1);
+            failures.set(chatKey, { date, attempts: attempt, nextAttemptAt: now() + delayMs });
+            logger.warn('Daily subscription delivery failed, retrying', { ...context, maxAttempts, delayMs, error });
+        }
+    }
+
+    // Deliver every subscription that is due; resolves when the pass is done
+    async function tick() {
+        if (ticking) return;
+        ticking = true;
+        try {
+            for (const subscription of subscriptions.list()) {
+                try {
+                    const local = localDateTime(subscription.timeZone, now());
+                    if (subscription.lastDeliveredOn === local.date || local.time < subscription.time) {
+                        continue;
+                    }
+                    await deliverOne(subscription, local.date);
+                } catch (error) {
+                    logger.error('Could not check daily subscription', {
+                        chat: logger.redact(subscription.chatKey),
+                        timeZone: subscription.timeZone,
+                        error,
+                    });
+                }
+            }
+        } finally {
+            ticking = false;
+        }
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(() => {
+            tick().catch(error => logger.error('Subscription scheduler tick failed', { error }));
+        }, intervalMs);
+        timer.unref();
+        logger.info('Subscription scheduler started', { intervalMs, subscriptions: subscriptions.list().length });
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { tick, start, stop };
+}
+
+module.exports = { createSubscriptionScheduler };
@@ -0,0 +1,103 @@
+'use strict';
+
+// --- Subscriptions ---
+// Opt-in daily pushes ("院長，訂閱"), keyed by chat (userId, groupId or
+// roomId) and persisted in a JSON file store. Each subscription:
+//   sourceType:      'user', 'group' or 'room'
+//   content:         'quote', 'photo' or 'both'
+//   time:            local delivery time, "HH:MM"
+//   timeZone:        IANA time zone of `time`
+//   lastDeliveredOn: local date (YYYY-MM-DD) of the last delivery, or null
+//   createdAt:       ISO 8601 time the subscription was created
+
+const CONTENT_TYPES = ['quote', 'photo', 'both'];
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+// Normalize "8:00" / "08:00" / "8：00" to "08:00"; returns null if invalid
+function parseTime(text) {
+    const match = /^([01]?\d|2[0-3])[:：]([0-5]\d)$/.exec(text);
+    return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+// The local date ("YYYY-MM-DD") and time ("HH:MM") of `at` in `timeZone`
+function localDateTime(timeZone, at) {
+    const parts = {};
+    const format = new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    });
+    for (const part of format.formatToParts(at)) {
+        parts[part.type] = part.value;
+    }
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+function validate({ content, time, timeZone }) {
+    if (!CONTENT_TYPES.includes(content)) {
+        throw new Error(`Unknown subscription content "${content}", expected one of: ${CONTENT_TYPES.join(', ')}.`);
+    }
+    if (parseTime(time) !== time) {
+        throw new Error(`Invalid subscription time "${time}", expected HH:MM.`);
+    }
+    if (!isValidTimeZone(timeZone)) {
+        throw new Error(`Unknown time zone "${timeZone}".`);
+    }
+}
+
+function createSubscriptions({ store, now = Date.now }) {
+    function get(chatKey) {
+        return store.get(chatKey) || null;
+    }
+
+    function list() {
+        return store.entries().map(([chatKey, subscription]) => ({ chatKey, ...subscription }));
+    }
+
+    // Create or replace the chat's subscription. A time that has already
+    // passed today starts tomorrow rather than pushing right away.
+    async function subscribe(chatKey, { sourceType, content, time, timeZone }) {
+        validate({ content, time, timeZone });
+        const local = localDateTime(timeZone, now());
+        const existing = get(chatKey);
+        const subscription = {
+            sourceType,
+            content,
+            time,
+            timeZone,
+            lastDeliveredOn: local.time >= time ? local.date : null,
+            createdAt: existing ? existing.createdAt : new Date(now()).toISOString(),
+        };
+        await store.set(chatKey, subscription);
+        return subscription;
+    }
+
+    // Returns true when the chat had a subscription
+    async function unsubscribe(chatKey) {
+        if (!get(chatKey)) return false;
+        await store.delete(chatKey);
+        return true;
+    }
+
+    async function markDelivered(chatKey, date) {
+        const subscription = get(chatKey);
+        if (!subscription) return;
+        await store.set(chatKey, { ...subscription, lastDeliveredOn: date });
+    }
+
+    return { get, list, subscribe, unsubscribe, markDelivered };
+}
+
+module.exports = { createSubscriptions, parseTime, isValidTimeZone, localDateTime, CONTENT_TYPES };
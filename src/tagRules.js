@@ -0,0 +1,205 @@
+'use strict';
+
+const fs = require('fs');
+const { createTextMessage } = require('./photoMessages');
+const { createMessageItem, attachQuickReply } = require('./quickReplies');
+const { writeFileAtomic } = require('./jsonFileStore');
+const { logger } = require('./logger');
+
+// --- Tag Rules ---
+// tagRules.json maps tags to extra content appended after the photo reply.
+// Each rule:
+//   name:         identifier used in logs
+//   tags:         tag plus any aliases that trigger the rule (exact match)
+//   startAt:      optional ISO 8601 time the rule becomes active
+//   endAt:        optional ISO 8601 time the rule expires
+//   text:         optional extra text message
+//   images:       optional [{ url, previewUrl }] extra image messages
+//   links:        optional [{ title, url, description, imageUrl }] shown as link cards
+//   quickReplies: optional [{ label, text }] buttons attached to the last message
+// Rules can be edited at runtime through the admin API; changes are written
+// back to the file atomically.
+
+const MAX_REPLY_MESSAGES = 5; // LINE reply API limit
+
+function validateRule(rule, index) {
+    if (!rule || typeof rule !== 'object') {
+        throw new Error(`Tag rule #${index} must be an object.`);
+    }
+    if (!Array.isArray(rule.tags) || rule.tags.length === 0) {
+        throw new Error(`Tag rule "${rule.name || `#${index}`}" must have a non-empty "tags" array.`);
+    }
+    for (const field of ['startAt', 'endAt']) {
+        if (rule[field] && Number.isNaN(Date.parse(rule[field]))) {
+            throw new Error(`Tag rule "${rule.name || `#${index}`}" has an invalid ${field}: ${rule[field]}`);
+        }
+    }
+}
+
+function isActive(rule, now) {
+    if (rule.startAt && now < Date.parse(rule.startAt)) return false;
+    if (rule.endAt && now > Date.parse(rule.endAt)) return false;
+    return true;
+}
+
+function createLinkBubble(link) {
+    const bubble = {
+        type: 'bubble',
+        body: {
+            type: 'box',
+            layout: 'vertical',
+            contents: [{ type: 'text', text: link.title || link.url, weight: 'bold', wrap: true }],
+        },
+        footer: {
+            type: 'box',
+            layout: 'vertical',
+            contents: [{
+                type: 'button',
+                style: 'link',
+                action: { type: 'uri', label: '前往', uri: link.url },
+            }],
+        },
+    };
+    if (link.description) {
+        bubble.body.contents.push({ type: 'text', text: link.description, size: 'sm', color: '#666666', wrap: true });
+    }
+    if (link.imageUrl) {
+        bubble.hero = { type: 'image', url: link.imageUrl, size: 'full', aspectRatio: '20:13', aspectMode: 'cover' };
+    }
+    return bubble;
+}
+
+// Build the extra messages for one rule, in display order
+function buildRuleMessages(rule) {
+    const messages = [];
+    if (rule.text) {
+        messages.push(createTextMessage(rule.text));
+    }
+    for (const image of rule.images || []) {
+        messages.push({ type: 'image', originalContentUrl: image.url, previewImageUrl: image.previewUrl || image.url });
+    }
+    if (rule.links && rule.links.length > 0) {
+        const bubbles = rule.links.slice(0, 12).map(createLinkBubble);
+        messages.push({
+            type: 'flex',
+            altText: rule.links.map(link => link.title || link.url).join('、'),
+            contents: bubbles.length === 1 ? bubbles[0] : { type: 'carousel', contents: bubbles },
+        });
+    }
+    return messages;
+}
+
+// Validate every rule, marking failures as client errors for the admin API
+function validateRules(rules) {
+    if (!Array.isArray(rules)) {
+        const error = new Error('tag rules must be a JSON array');
+        error.status = 400;
+        throw error;
+    }
+    try {
+        rules.forEach(validateRule);
+    } catch (err) {
+        err.status = 400;
+        throw err;
+    }
+}
+
+function createTagRules({ filePath, now = Date.now }) {
+    let rules = [];
+    let writeChain = Promise.resolve();
+
+    // (Re)load rules from disk. Keeps the previous rules if the file is invalid.
+    function reload() {
+        try {
+            if (!fs.existsSync(filePath)) {
+                logger.info('No tag rules file, special-tag replies are disabled', { filePath });
+                rules = [];
+                return rules;
+            }
+            const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            if (!Array.isArray(parsed)) {
+                throw new Error('tag rules file must contain a JSON array');
+            }
+            parsed.forEach(validateRule);
+            rules = parsed;
+            logger.info('Loaded tag rules', { count: rules.length });
+        } catch (err) {
+            logger.error('Error loading tag rules', { filePath, error: err });
+        }
+        return rules;
+    }
+
+    // Active rules whose tags include `tag`
+    function findRules(tag) {
+        const currentTime = now();
+        return rules.filter(rule => rule.tags.includes(tag) && isActive(rule, currentTime));
+    }
+
+    // Append the extra messages of every matching rule to `messages`.
+    // Returns a single message when nothing was added, to keep simple replies simple.
+    function apply(tag, messages) {
+        const baseMessages = Array.isArray(messages) ? messages : [messages];
+        const matched = findRules(tag);
+        if (matched.length === 0) {
+            return messages;
+        }
+        logger.info('Applying tag rules', { tag, rules: matched.map(rule => rule.name) });
+
+        let result = baseMessages.concat(...matched.map(buildRuleMessages));
+        if (result.length > MAX_REPLY_MESSAGES) {
+            logger.warn('Tag rules produced too many messages, truncating', { tag, messages: result.length, max: MAX_REPLY_MESSAGES });
+            result = result.slice(0, MAX_REPLY_MESSAGES);
+        }
+
+        const quickReplies = [].concat(...matched.map(rule => rule.quickReplies || []));
+        result = attachQuickReply(result, quickReplies.map(item => createMessageItem(item.label, item.text || item.label)));
+        return result.length === 1 ? result[0] : result;
+    }
+
+    // Serialized atomic writes of the current rules
+    function persist() {
+        const content = `${JSON.stringify(rules, null, 2)}\n`;
+        const write = writeChain.then(() => writeFileAtomic(filePath, content));
+        writeChain = write.catch(err => logger.error('Error writing tag rules file', { filePath, error: err }));
+        return write;
+    }
+
+    // Replace all rules
+    async function replaceAll(newRules) {
+        validateRules(newRules);
+        rules = newRules;
+        await persist();
+        logger.info('Replaced tag rules', { count: rules.length });
+        return rules.slice();
+    }
+
+    // Add a rule, or replace the rule with the same name
+    async function upsert(rule) {
+        validateRules([rule]);
+        if (!rule.name) {
+            const error = new Error('Tag rule must have a "name".');
+            error.status = 400;
+            throw error;
+        }
+        const index = rules.findIndex(existing => existing.name === rule.name);
+        rules = index === -1 ? rules.concat(rule) : rules.map((existing, i) => (i === index ? rule : existing));
+        await persist();
+        logger.info(`${index === -1 ? 'Added' : 'Updated'} tag rule`, { rule: rule.name });
+        return rule;
+    }
+
+    // Remove the rule with the given name; returns false if there is none
+    async function remove(name) {
+        const remaining = rules.filter(rule => rule.name !== name);
+        if (remaining.length === rules.length) return false;
+        rules = remaining;
+        await persist();
+        logger.info('Removed tag rule', { rule: name });
+        return true;
+    }
+
+    reload();
+    return { reload, findRules, apply, list: () => rules.slice(), replaceAll, upsert, remove };
+}
+
+module.exports = { createTagRules };
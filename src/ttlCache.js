@@ -0,0 +1,42 @@
+'use strict';
+
+// Small in-memory cache with a per-entry time-to-live and a size cap.
+// When full, the oldest inserted entry is evicted first.
+function createTtlCache({ ttlMs, maxEntries = 500, now = Date.now }) {
+    const entries = new Map();
+
+    function get(key) {
+        const entry = entries.get(key);
+        if (!entry) return undefined;
+        if (entry.expiresAt <= now()) {
+            entries.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    function has(key) {
+        return get(key) !== undefined;
+    }
+
+    function set(key, value, entryTtlMs = ttlMs) {
+        entries.delete(key); // Re-inserting moves the key to the newest position
+        entries.set(key, { value, expiresAt: now() + entryTtlMs });
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+        return value;
+    }
+
+    function del(key) {
+        return entries.delete(key);
+    }
+
+    function clear() {
+        entries.clear();
+    }
+
+    return { get, has, set, delete: del, clear, get size() { return entries.size; } };
+}
+
+module.exports = { createTtlCache };
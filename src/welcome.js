@@ -0,0 +1,111 @@
+'use strict';
+
+const fs = require('fs');
+const { DEFAULT_PREFIX } = require('./persona');
+const { logger } = require('./logger');
+
+// --- Welcome Messages ---
+// Greetings for the bot being added as a friend ("follow"), joining a group
+// or room ("join") and new members joining a group ("memberJoined"), read
+// from welcome.json. Each occasion:
+//   enabled:     false to stay silent (default true)
+//   text:        template with {{placeholder}} variables; every occasion
+//                has {{prefix}}, what the bot is called (e.g. 院長), and:
+//                  follow:       {{displayName}} the user's LINE name
+//                  memberJoined: {{members}} mentions of the new members
+//   generate:    true to ask the LLM for a Han-style greeting instead of
+//                `text`, which stays the fallback (default false)
+//   includeHelp: follow and join only; also send the command list (default true)
+
+const OCCASIONS = {
+    follow: '一位新朋友剛剛把你加為 LINE 好友',
+    join: '你剛剛被邀請進一個 LINE 群組',
+    memberJoined: '有新成員剛剛加入你所在的 LINE 群組',
+};
+
+const DEFAULT_WELCOME = Object.freeze({
+    follow: { enabled: true, text: '{{displayName}}你好！感謝你加{{prefix}}好友！', generate: false, includeHelp: true },
+    join: { enabled: true, text: '大家好，{{prefix}}來了！', generate: false, includeHelp: true },
+    memberJoined: { enabled: true, text: '{{members}} 歡迎加入！', generate: false },
+});
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+function compileWelcome(raw) {
+    const welcome = {};
+    for (const occasion of Object.keys(OCCASIONS)) {
+        const entry = { ...DEFAULT_WELCOME[occasion], ...(raw[occasion] || {}) };
+        if (typeof entry.text !== 'string' || !entry.text.trim()) {
+            throw new Error(`Welcome "${occasion}" must have a non-empty "text".`);
+        }
+        welcome[occasion] = entry;
+    }
+    return welcome;
+}
+
+function render(template, variables) {
+    return template.replace(PLACEHOLDER, (placeholder, key) => (key in variables ? String(variables[key]) : ''));
+}
+
+function createWelcomeMessages({ filePath, llm, prompts, moderator, getQuotesString, prefix = DEFAULT_PREFIX }) {
+    let welcome = compileWelcome({});
+
+    // (Re)load welcome.json. Keeps the previous messages if the file is invalid.
+    function reload() {
+        try {
+            if (!fs.existsSync(filePath)) {
+                logger.info('No welcome file, using the default greetings', { filePath });
+                welcome = compileWelcome({});
+                return;
+            }
+            welcome = compileWelcome(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+            logger.info('Loaded welcome messages', {
+                enabled: Object.keys(welcome).filter(occasion => welcome[occasion].enabled),
+            });
+        } catch (err) {
+            logger.error('Error loading welcome messages', { filePath, error: err });
+        }
+    }
+
+    function get(occasion) {
+        return welcome[occasion];
+    }
+
+    // Han-style greeting from the LLM, or null to use the template
+    async function generate(occasion) {
+        if (!llm.enabled) return null;
+        try {
+            const prompt = prompts.render('welcome', {
+                occasion: OCCASIONS[occasion],
+                koreanYuQuotesString: await getQuotesString(),
+            });
+            const text = await llm.generate({ prompt: prompt.text });
+            const check = moderator.checkOutput(text);
+            if (!check.ok) {
+                logger.warn('Rejected generated welcome message, using the template', { occasion, promptVersion: prompt.version, reason: check.reason, reply: text });
+                return null;
+            }
+            logger.info('Generated welcome message', { occasion, promptVersion: prompt.version, reply: text });
+            return text;
+        } catch (error) {
+            logger.error('Error generating welcome message, using the template', { occasion, error });
+            return null;
+        }
+    }
+
+    // Returns { text, generated } for an enabled occasion, or null when it is disabled
+    async function greeting(occasion, variables = {}) {
+        const entry = welcome[occasion];
+        if (!entry.enabled) return null;
+        const generated = entry.generate ? await generate(occasion) : null;
+        if (generated) {
+            return { text: generated, generated: true };
+        }
+        return { text: render(entry.text, { prefix, ...variables }).trim(), generated: false };
+    }
+
+    reload();
+    return { reload, get, greeting };
+}
+
+module.exports = { createWelcomeMessages, DEFAULT_WELCOME };
@@ -0,0 +1,67 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadConfig } = require('../src/config');
+
+const REQUIRED = {
+    LINE_CHANNEL_ACCESS_TOKEN: 'token',
+    LINE_CHANNEL_SECRET: 'secret',
+    PHOTO_API_URL: 'https://api.example.com/photos',
+    PHOTO_BASE_URL: 'https://photos.example.com',
+};
+
+test('throws listing the missing required settings', () => {
+    assert.throws(
+        () => loadConfig({ LINE_CHANNEL_SECRET: 'secret', PHOTO_BASE_URL: 'https://photos.example.com' }),
+        /LINE_CHANNEL_ACCESS_TOKEN, PHOTO_API_URL must be set/
+    );
+});
+
+test('applies defaults relative to the root directory', () => {
+    const config = loadConfig(REQUIRED, { rootDir: '/srv/bot' });
+    assert.equal(config.port, 3001);
+    assert.equal(config.llm.provider, 'none');
+    assert.deepEqual(config.rateLimits.expensive, { perUser: 5, perChat: 15 });
+    assert.equal(config.quotes.filePath, path.join('/srv/bot', 'quotes.json'));
+    assert.equal(config.groupSettingsFile, path.join('/srv/bot', 'data', 'groupSettings.json'));
+    assert.deepEqual(config.photos.index, {
+        syncIntervalMs: 10 * 60 * 1000,
+        minScore: 0.5,
+        synonymsFile: path.join('/srv/bot', 'synonyms.json'),
+    });
+    assert.deepEqual(config.adminUserIds, []);
+    assert.equal(config.adminApiToken, null);
+});
+
+test('reads optional settings from the environment', () => {
+    const config = loadConfig({
+        ...REQUIRED,
+        GEMINI_API_KEY: 'key',
+        LLM_TEMPERATURE: '0.5',
+        FLEX_MAX_PHOTOS: '50',
+        PHOTO_REPLY_MODE: 'flex',
+        ADMIN_USER_IDS: ' U1 , U2,',
+        RATE_LIMIT_WINDOW_SECONDS: '30',
+    });
+    assert.equal(config.llm.provider, 'gemini');
+    assert.equal(config.llm.apiKey, 'key');
+    assert.equal(config.llm.temperature, 0.5);
+    assert.equal(config.photos.flexMaxPhotos, 12);
+    assert.equal(config.photos.replyMode, 'flex');
+    assert.deepEqual(config.adminUserIds, ['U1', 'U2']);
+    assert.equal(config.rateLimits.windowMs, 30000);
+});
+
+test('keeps the loading animation within what LINE accepts', () => {
+    assert.equal(loadConfig(REQUIRED).delivery.loadingSeconds, 20);
+    assert.equal(loadConfig({ ...REQUIRED, LOADING_ANIMATION_SECONDS: '90' }).delivery.loadingSeconds, 60);
+    assert.equal(loadConfig({ ...REQUIRED, LOADING_ANIMATION_SECONDS: '2' }).delivery.loadingSeconds, 5);
+    assert.equal(loadConfig({ ...REQUIRED, LOADING_ANIMATION_SECONDS: '0' }).delivery.loadingSeconds, 0);
+});
+
+test('falls back to the default subscription time zone for an unknown one', () => {
+    assert.equal(loadConfig({ ...REQUIRED, SUBSCRIPTION_DEFAULT_TIMEZONE: 'Asia/Tokyo' }).subscriptions.defaults.timeZone, 'Asia/Tokyo');
+    assert.equal(loadConfig({ ...REQUIRED, SUBSCRIPTION_DEFAULT_TIMEZONE: 'Mars/Olympus' }).subscriptions.defaults.timeZone, 'Asia/Taipei');
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start, textEvent, mentionEvent, userSource, groupSource } = require('./helpers');
+
+// Webhook acknowledgement, event deduplication, the push fallback for expired
+// reply tokens and the loading animation.
+
+test('acknowledges the webhook before the events are handled', async (t) => {
+    let release;
+    const answered = new Promise(resolve => { release = resolve; });
+    const harness = await start(t, { llmScript: ['', () => answered] });
+
+    const event = textEvent('你好嗎');
+    const response = await harness.postEvents([event]);
+    assert.equal(response.status, 200);
+    assert.equal(harness.client.replies.length, 0, 'still waiting for the LLM');
+
+    release('院長跟你說');
+    await harness.bot.eventQueue.idle();
+    assert.deepEqual(harness.client.replies, [{ replyToken: event.replyToken, messages: [{ type: 'text', text: '院長跟你說' }] }]);
+});
+
+test('handles an event once, even when LINE redelivers it', async (t) => {
+    const harness = await start(t);
+    const event = textEvent('院長，金句');
+    await harness.send(event);
+    await harness.postEvents([event]);
+    await harness.postEvents([{ ...event, deliveryContext: { isRedelivery: true } }]);
+    await harness.bot.eventQueue.idle();
+    assert.equal(harness.client.replies.length, 1);
+    assert.equal(harness.client.pushes.length, 0);
+});
+
+test('handles the redelivery of an event that failed', async (t) => {
+    const harness = await start(t);
+    const replyMessage = harness.client.replyMessage;
+    harness.client.replyMessage = async () => {
+        throw Object.assign(new Error('Internal Server Error'), { statusCode: 500 });
+    };
+    const event = textEvent('院長，金句');
+    await harness.send(event);
+    assert.equal(harness.client.replies.length, 0);
+
+    harness.client.replyMessage = replyMessage;
+    await harness.postEvents([{ ...event, deliveryContext: { isRedelivery: true } }]);
+    await harness.bot.eventQueue.idle();
+    assert.equal(harness.client.replies.length, 1);
+});
+
+test('pushes the answer to a redelivered event whose reply token has expired', async (t) => {
+    const harness = await start(t);
+    const event = {
+        ...textEvent('院長，金句', { source: groupSource('C1') }),
+        timestamp: Date.now() - 5 * 60 * 1000,
+        deliveryContext: { isRedelivery: true },
+    };
+    assert.equal(await harness.send(event), null);
+    assert.equal(harness.client.pushes.length, 1);
+    assert.equal(harness.client.pushes[0].to, 'C1');
+    assert.ok(harness.bot.quoteStore.texts().includes(harness.client.pushes[0].messages[0].text));
+});
+
+test('falls back to a push message when LINE rejects the reply token', async (t) => {
+    const harness = await start(t);
+    harness.client.replyMessage = async () => {
+        throw Object.assign(new Error('Invalid reply token'), { statusCode: 400 });
+    };
+    await harness.send(textEvent('院長，金句', { source: userSource('U1') }));
+    assert.equal(harness.client.pushes.length, 1);
+    assert.equal(harness.client.pushes[0].to, 'U1');
+});
+
+test('does not push when the reply fails for another reason', async (t) => {
+    const harness = await start(t);
+    harness.client.replyMessage = async () => {
+        throw Object.assign(new Error('Too Many Requests'), { statusCode: 429 });
+    };
+    await harness.send(textEvent('院長，金句'));
+    assert.equal(harness.client.pushes.length, 0);
+});
+
+test('shows the loading animation in one-on-one chats while the LLM works', async (t) => {
+    const harness = await start(t, {
+        env: { LOADING_ANIMATION_SECONDS: '12' },
+        llmScript: ['', '院長跟你說', '院長跟大家說'],
+    });
+    await harness.send(textEvent('院長，金句', { source: userSource('U1') }));
+    assert.equal(harness.client.loadings.length, 0, 'not for commands without the LLM');
+
+    await harness.send(textEvent('你好嗎', { source: userSource('U1') }));
+    assert.deepEqual(harness.client.loadings, [{ chatId: 'U1', loadingSeconds: 10 }]);
+
+    await harness.send(mentionEvent('你好嗎', { source: groupSource() }));
+    assert.equal(harness.client.loadings.length, 1, 'LINE only supports it in one-on-one chats');
+});
+
+test('a failing loading animation does not stop the reply', async (t) => {
+    const harness = await start(t, { llmScript: ['', '院長跟你說'] });
+    harness.client.showLoadingAnimation = async () => {
+        throw Object.assign(new Error('Bad Request'), { statusCode: 400 });
+    };
+    const [message] = await harness.send(textEvent('你好嗎'));
+    assert.equal(message.text, '院長跟你說');
+});
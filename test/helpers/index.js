@@ -0,0 +1,270 @@
+'use strict';
+
+// Shared harness for the integration tests: builds the app from a config
+// pointing at a local stub photo API, with a fake LINE client and a scripted
+// fake LLM, and posts signed webhook payloads to it.
+
+// Keep test output readable; the shared logger reads this when first required
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { loadConfig } = require('../../src/config');
+const { createApp } = require('../../src/app');
+const { createMockProvider } = require('../../src/llm');
+
+const CHANNEL_SECRET = 'test-channel-secret';
+const PHOTO_BASE_URL = 'https://photos.example.com';
+
+// The x-line-signature header LINE sends: base64 HMAC-SHA256 of the body
+function signBody(body, secret = CHANNEL_SECRET) {
+    return crypto.createHmac('sha256', secret).update(body).digest('base64');
+}
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+function closeServer(server) {
+    return new Promise(resolve => server.close(() => resolve()));
+}
+
+// Local stand-in for PHOTO_API_URL. `all` is returned without a search term;
+// `search` maps a term to its photos, or to an HTTP status code to fail with.
+// Unknown terms return []. Every search term requested is kept in `requests`.
+// `images` maps photo paths to the JPEG bytes served for PHOTO_BASE_URL + path.
+async function startStubPhotoApi({ all = [], search = {}, images = {} } = {}) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (images[decodeURIComponent(pathname)]) {
+            res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+            return res.end(images[decodeURIComponent(pathname)]);
+        }
+        const term = new URL(req.url, 'http://localhost').searchParams.get('search');
+        requests.push(term);
+        const result = term === null ? all : (search[term] || []);
+        if (typeof result === 'number') {
+            res.writeHead(result, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ error: 'stub failure' }));
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify(result));
+    });
+    const url = await listen(server);
+    return { url: `${url}/photos`, baseUrl: url, requests, close: () => closeServer(server) };
+}
+
+// Fake LLM answering from a script, one entry per generate() call in order.
+// An entry is the reply text, an Error to throw, or a function of the request.
+// A call past the end of the script throws, which the app treats as an LLM failure.
+function createScriptedLlm(script = []) {
+    const queue = script.slice();
+    const provider = createMockProvider({
+        respond(request) {
+            if (queue.length === 0) {
+                throw new Error(`Unexpected LLM call: ${request.prompt.slice(0, 40)}`);
+            }
+            const entry = queue.shift();
+            if (entry instanceof Error) throw entry;
+            return typeof entry === 'function' ? entry(request) : entry;
+        },
+    });
+    provider.remaining = () => queue.length;
+    return provider;
+}
+
+// Fake LINE client recording replies, pushes and loading animations; it also
+// stands in for the messaging API client. `contents` maps message ids to the
+// bytes getMessageContent streams back; `profiles` maps user ids to
+// getProfile results.
+function createFakeLineClient({ contents = {}, profiles = {} } = {}) {
+    const replies = [];
+    const pushes = [];
+    const loadings = [];
+    return {
+        replies,
+        pushes,
+        loadings,
+        async replyMessage(replyToken, messages) {
+            replies.push({ replyToken, messages: Array.isArray(messages) ? messages : [messages] });
+            return {};
+        },
+        async pushMessage(to, messages) {
+            pushes.push({ to, messages: Array.isArray(messages) ? messages : [messages] });
+            return {};
+        },
+        async showLoadingAnimation(request) {
+            loadings.push(request);
+            return {};
+        },
+        async getProfile(userId) {
+            if (!profiles[userId]) {
+                throw Object.assign(new Error('Not found'), { statusCode: 404 });
+            }
+            return profiles[userId];
+        },
+        async getMessageContent(messageId) {
+            if (!contents[messageId]) {
+                throw new Error(`No content for message ${messageId}`);
+            }
+            return Readable.from([contents[messageId]]);
+        },
+    };
+}
+
+// Build and start the app. Options:
+//   env:      environment overrides for loadConfig
+//   photos:   stub photo API routes (see startStubPhotoApi); with `images`,
+//             PHOTO_BASE_URL points at the stub too
+//   llm:      LLM provider to use; defaults to a scripted LLM over `llmScript`
+//   contents, profiles: data for the fake LINE client
+async function startTestApp({ env = {}, photos, llm, llmScript = [], contents, profiles } = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hanbot-test-'));
+    const photoApi = await startStubPhotoApi(photos);
+    const config = loadConfig({
+        LINE_CHANNEL_ACCESS_TOKEN: 'test-access-token',
+        LINE_CHANNEL_SECRET: CHANNEL_SECRET,
+        PHOTO_API_URL: photoApi.url,
+        PHOTO_BASE_URL,
+        PHOTO_API_RETRIES: '0',
+        QUOTE_SETTINGS_FILE: path.join(dataDir, 'quoteSettings.json'),
+        GROUP_SETTINGS_FILE: path.join(dataDir, 'groupSettings.json'),
+        SUBSCRIPTIONS_FILE: path.join(dataDir, 'subscriptions.json'),
+        ACTIVE_CHATS_FILE: path.join(dataDir, 'activeChats.json'),
+        MEME_CACHE_DIR: path.join(dataDir, 'memes'),
+        SEARCH_ANALYTICS_FILE: path.join(dataDir, 'searches.jsonl'),
+        ...(photos && photos.images && { PHOTO_BASE_URL: photoApi.baseUrl }),
+        ...env,
+    });
+    const client = createFakeLineClient({ contents, profiles });
+    const provider = llm || createScriptedLlm(llmScript);
+    const bot = createApp(config, { client, messagingClient: client, llm: provider });
+    const server = http.createServer(bot.app);
+    const url = await listen(server);
+
+    // POST events to /webhook, signed with the channel secret unless a signature is given
+    async function postEvents(events, { signature } = {}) {
+        const body = JSON.stringify({ destination: 'Ubot', events });
+        return fetch(`${url}/webhook`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-line-signature': signature || signBody(body) },
+            body,
+        });
+    }
+
+    // Post one event, wait until it has been handled and return the messages
+    // replied to it (or null without a reply)
+    async function send(event) {
+        const before = client.replies.length;
+        const response = await postEvents([event]);
+        if (response.status !== 200) {
+            throw new Error(`Webhook responded with ${response.status}`);
+        }
+        await bot.eventQueue.idle();
+        const reply = client.replies.slice(before).find(r => r.replyToken === event.replyToken);
+        return reply ? reply.messages : null;
+    }
+
+    async function close() {
+        await bot.eventQueue.idle();
+        await bot.searchAnalytics.flush();
+        await closeServer(server);
+        await photoApi.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    return { url, config, dataDir, bot, client, llm: provider, photoApi, postEvents, send, close };
+}
+
+// Start the app for test `t` and close it when the test ends
+async function start(t, options) {
+    const harness = await startTestApp(options);
+    t.after(() => harness.close());
+    return harness;
+}
+
+// A temporary directory removed when test `t` ends
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hanbot-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// --- Event builders ---
+let eventCount = 0;
+
+function userSource(userId = 'U0001') {
+    return { type: 'user', userId };
+}
+
+function groupSource(groupId = 'C0001', userId = 'U0001') {
+    return { type: 'group', groupId, userId };
+}
+
+function baseEvent(type, source) {
+    eventCount++;
+    return {
+        type,
+        mode: 'active',
+        timestamp: Date.now(),
+        source,
+        webhookEventId: `01TEST${eventCount}`,
+        deliveryContext: { isRedelivery: false },
+        replyToken: `reply-token-${eventCount}`,
+    };
+}
+
+function textEvent(text, { source = userSource(), mention } = {}) {
+    return { ...baseEvent('message', source), message: { id: `m${eventCount}`, type: 'text', quoteToken: 'q', text, ...(mention && { mention }) } };
+}
+
+// "@院長 <text>" in a group, with the bot's mention marked isSelf
+function mentionEvent(text, { source = groupSource() } = {}) {
+    const mentionText = '@院長';
+    return textEvent(`${mentionText} ${text}`, {
+        source,
+        mention: { mentionees: [{ index: 0, length: mentionText.length, type: 'user', userId: 'Ubot', isSelf: true }] },
+    });
+}
+
+function imageEvent(messageId, { source = userSource() } = {}) {
+    return { ...baseEvent('message', source), message: { id: messageId, type: 'image', contentProvider: { type: 'line' } } };
+}
+
+function stickerEvent(keywords, { source = userSource() } = {}) {
+    return { ...baseEvent('message', source), message: { id: `m${eventCount}`, type: 'sticker', packageId: '1', stickerId: '1', keywords } };
+}
+
+function postbackEvent(data, { source = userSource() } = {}) {
+    return { ...baseEvent('postback', source), postback: { data } };
+}
+
+function photo(name) {
+    return { path: `/Photos/${name}.jpg` };
+}
+
+module.exports = {
+    CHANNEL_SECRET,
+    PHOTO_BASE_URL,
+    signBody,
+    startStubPhotoApi,
+    createScriptedLlm,
+    createFakeLineClient,
+    startTestApp,
+    start,
+    tempDir,
+    baseEvent,
+    userSource,
+    groupSource,
+    textEvent,
+    mentionEvent,
+    imageEvent,
+    stickerEvent,
+    postbackEvent,
+    photo,
+};
@@ -0,0 +1,124 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { start, tempDir, textEvent, postbackEvent, photo } = require('./helpers');
+const { createMemeRenderer, layoutCaption } = require('../src/memeRenderer');
+
+// "院長，梗圖": caption layout, rendering, the disk cache and the image route.
+
+const PUBLIC_BASE_URL = 'https://bot.example.com';
+
+function createImage(width, height) {
+    return sharp({ create: { width, height, channels: 3, background: '#3366cc' } }).jpeg().toBuffer();
+}
+
+test('lays captions out in lines, breaking after punctuation and shrinking to fit', () => {
+    const short = layoutCaption('發大財', 1000);
+    assert.deepEqual(short, { fontSize: 80, lines: ['發大財'] });
+
+    const wrapped = layoutCaption('貨賣得出去，人進得來，高雄發大財。', 1000);
+    assert.deepEqual(wrapped.lines, ['貨賣得出去，人進得來，', '高雄發大財。']);
+
+    const long = layoutCaption('莫忘世上苦人多'.repeat(20), 1000);
+    assert.equal(long.lines.length, 3);
+    assert.ok(long.fontSize < 80 && long.fontSize >= 40, `font size ${long.fontSize}`);
+    assert.match(long.lines[2], /…$/);
+});
+
+test('renders a meme and its preview once, then serves them from the cache', async (t) => {
+    const image = await createImage(1600, 1200);
+    const requests = [];
+    const httpClient = { get: async (url) => { requests.push(url); return { data: image }; } };
+    const cacheDir = tempDir(t);
+    const renderer = createMemeRenderer({ cacheDir, photoBaseUrl: 'https://photos.example.com', httpClient });
+
+    const id = await renderer.render(photo('rich'), '高雄發大財');
+    assert.match(id, /^[0-9a-f]{40}$/);
+    assert.deepEqual(await sharp(renderer.filePath(id)).metadata().then(m => [m.width, m.height, m.format]), [1024, 768, 'jpeg']);
+    assert.equal((await sharp(renderer.filePath(id, { preview: true })).metadata()).width, 240);
+
+    const [again, other] = await Promise.all([
+        renderer.render(photo('rich'), '高雄發大財'),
+        renderer.render(photo('rich'), '莫忘世上苦人多'),
+    ]);
+    assert.equal(again, id);
+    assert.notEqual(other, id);
+    assert.deepEqual(requests, ['https://photos.example.com/Photos/rich.jpg', 'https://photos.example.com/Photos/rich.jpg']);
+});
+
+test('cleans up memes not used within the retention period', async (t) => {
+    let time = Date.now();
+    const image = await createImage(400, 300);
+    const cacheDir = tempDir(t);
+    const renderer = createMemeRenderer({
+        cacheDir,
+        photoBaseUrl: 'https://photos.example.com',
+        httpClient: { get: async () => ({ data: image }) },
+        retentionMs: 60 * 60 * 1000,
+        now: () => time,
+    });
+    const oldId = await renderer.render(photo('a'), '舊的');
+    const usedId = await renderer.render(photo('b'), '常用的');
+    const old = new Date(time - 2 * 60 * 60 * 1000);
+    for (const file of fs.readdirSync(cacheDir)) {
+        fs.utimesSync(path.join(cacheDir, file), old, old);
+    }
+    await renderer.render(photo('b'), '常用的'); // A cache hit keeps it
+
+    assert.equal(renderer.cleanup(), 2);
+    assert.deepEqual(fs.readdirSync(cacheDir).sort(), [`${usedId}-preview.jpg`, `${usedId}.jpg`]);
+    assert.ok(!fs.existsSync(renderer.filePath(oldId)));
+    time += 2 * 60 * 60 * 1000;
+    assert.equal(renderer.cleanup(), 2);
+});
+
+test('院長，梗圖 [tag] replies with a meme of a matching photo and a relevant quote', async (t) => {
+    const harness = await start(t, {
+        env: { PUBLIC_BASE_URL: `${PUBLIC_BASE_URL}/` },
+        photos: { search: { 發大財: [photo('rich')] }, images: { '/Photos/rich.jpg': await createImage(800, 600) } },
+    });
+    const [message] = await harness.send(textEvent('院長，梗圖 發大財'));
+    const [, id] = message.originalContentUrl.match(/^https:\/\/bot\.example\.com\/memes\/([0-9a-f]{40})\.jpg$/);
+    assert.equal(message.previewImageUrl, `${PUBLIC_BASE_URL}/memes/${id}-preview.jpg`);
+    assert.equal(new URLSearchParams(message.quickReply.items[0].action.data).get('q'), '發大財');
+    assert.equal(harness.llm.calls.length, 0, 'a relevant quote needs no LLM call');
+
+    const response = await fetch(`${harness.url}/memes/${id}.jpg`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/jpeg');
+    assert.match(response.headers.get('cache-control'), /immutable/);
+    const preview = await fetch(`${harness.url}/memes/${id}-preview.jpg`);
+    assert.equal((await sharp(Buffer.from(await preview.arrayBuffer())).metadata()).width, 240);
+
+    const [again] = await harness.send(postbackEvent(message.quickReply.items[0].action.data));
+    assert.equal(again.type, 'image');
+});
+
+test('院長，梗圖 [text] uses any photo and a generated caption when no quote is relevant', async (t) => {
+    const harness = await start(t, {
+        env: { PUBLIC_BASE_URL },
+        photos: { all: [photo('a')], images: { '/Photos/a.jpg': await createImage(400, 300) } },
+        llmScript: ['外星人來高雄，也要發大財'],
+    });
+    const [message] = await harness.send(textEvent('院長，梗圖 外星人'));
+    assert.equal(message.type, 'image');
+    assert.match(harness.llm.calls[0].prompt, /「外星人」/);
+    assert.equal(harness.photoApi.requests.filter(term => term === '外星人').length, 1);
+});
+
+test('院長，梗圖 says so when the photo cannot be rendered', async (t) => {
+    const harness = await start(t, { env: { PUBLIC_BASE_URL }, photos: { all: [photo('missing')], images: {} } });
+    const [message] = await harness.send(textEvent('院長，梗圖'));
+    assert.equal(message.text, '抱歉，院長的梗圖做不出來，等一下再試試看。');
+});
+
+test('memes are disabled without PUBLIC_BASE_URL and the route only serves rendered memes', async (t) => {
+    const harness = await start(t);
+    assert.ok(!harness.bot.commandRegistry.list().some(command => command.name === 'meme'));
+    assert.equal((await fetch(`${harness.url}/memes/${'0'.repeat(40)}.jpg`)).status, 404);
+    assert.equal((await fetch(`${harness.url}/memes/..%2Fconfig.js`)).status, 404);
+});
@@ -0,0 +1,266 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const {
+    signBody,
+    tempDir,
+    startStubPhotoApi,
+    createScriptedLlm,
+    createFakeLineClient,
+    baseEvent,
+    textEvent,
+    groupSource,
+    photo,
+} = require('./helpers');
+const { loadBotConfigs } = require('../src/config');
+const { createHostApp } = require('../src/app');
+
+// Several bots with their own channels, photo APIs, quotes, prefixes and
+// personas, served from one Express app.
+
+const ENV = {
+    PHOTO_API_URL: 'https://api.example.com/photos',
+    PHOTO_BASE_URL: 'https://photos.example.com',
+    HAN_TOKEN: 'han-token',
+    HAN_SECRET: 'han-secret',
+    MAYOR_TOKEN: 'mayor-token',
+    MAYOR_SECRET: 'mayor-secret',
+};
+const MAYOR_PERSONA = '你是一個模仿市長的聊天機器人。';
+
+function writeBots(dir, bots) {
+    const filePath = path.join(dir, 'bots.json');
+    fs.writeFileSync(filePath, JSON.stringify(bots));
+    return filePath;
+}
+
+function hanBot(extra = {}) {
+    return { id: 'han', channelAccessToken: '${HAN_TOKEN}', channelSecret: '${HAN_SECRET}', basePath: '', ...extra };
+}
+
+function mayorBot(extra = {}) {
+    return {
+        id: 'mayor',
+        webhookPath: '/webhook/mayor',
+        channelAccessToken: '${MAYOR_TOKEN}',
+        channelSecret: '${MAYOR_SECRET}',
+        prefix: '市長',
+        personaName: '市長',
+        persona: MAYOR_PERSONA,
+        ...extra,
+    };
+}
+
+test('reads one config per bot from BOTS_FILE', (t) => {
+    const dir = tempDir(t);
+    const BOTS_FILE = writeBots(dir, [hanBot({ dataDir: path.join(dir, 'data') }), mayorBot({ env: { LLM_DAILY_QUOTA: '200' } })]);
+    const [han, mayor] = loadBotConfigs({ ...ENV, BOTS_FILE, SUBSCRIPTIONS_FILE: '/shared/subscriptions.json' }, { rootDir: '/srv/bot' });
+
+    assert.deepEqual(han.bot, { id: 'han', webhookPath: '/webhook', basePath: '', prefix: '院長' });
+    assert.deepEqual(han.line, { channelAccessToken: 'han-token', channelSecret: 'han-secret', botUserId: undefined });
+    assert.equal(han.subscriptions.filePath, path.join(dir, 'data', 'subscriptions.json'), 'state files are not shared');
+    assert.equal(han.persona.name, '韓國瑜');
+
+    assert.deepEqual(mayor.bot, { id: 'mayor', webhookPath: '/webhook/mayor', basePath: '/bots/mayor', prefix: '市長' });
+    assert.equal(mayor.line.channelSecret, 'mayor-secret');
+    assert.equal(mayor.photos.apiUrl, ENV.PHOTO_API_URL, 'other settings are inherited');
+    assert.equal(mayor.subscriptions.filePath, path.join('/srv/bot', 'data', 'mayor', 'subscriptions.json'));
+    assert.deepEqual(mayor.persona, { name: '市長', prompt: MAYOR_PERSONA });
+    assert.equal(mayor.llm.dailyQuota, 200);
+    assert.equal(han.llm.dailyQuota, 1000);
+});
+
+test('resolves relative paths in BOTS_FILE against the app directory', (t) => {
+    const dir = tempDir(t);
+    const BOTS_FILE = writeBots(dir, [hanBot({ dataDir: 'data' }), mayorBot({ quotesFile: 'mayor/quotes.json', tagRulesFile: 'mayor/tagRules.json' })]);
+    const cwd = process.cwd();
+    process.chdir(dir);
+    t.after(() => process.chdir(cwd));
+
+    const [han, mayor] = loadBotConfigs({ ...ENV, BOTS_FILE }, { rootDir: '/srv/bot' });
+    assert.equal(han.groupSettingsFile, path.join('/srv/bot', 'data', 'groupSettings.json'));
+    assert.equal(mayor.quotes.filePath, path.join('/srv/bot', 'mayor', 'quotes.json'));
+    assert.equal(mayor.tagRulesFile, path.join('/srv/bot', 'mayor', 'tagRules.json'));
+});
+
+test('rejects bots files with missing, unknown or clashing settings', (t) => {
+    const dir = tempDir(t);
+    const load = bots => () => loadBotConfigs({ ...ENV, LINE_CHANNEL_ACCESS_TOKEN: 'x', LINE_CHANNEL_SECRET: 'x', BOTS_FILE: writeBots(dir, bots) });
+    assert.throws(load([]), /must hold a non-empty array of bots/);
+    assert.throws(load([hanBot(), { id: 'mayor' }]), /^Error: Bot "mayor": LINE_CHANNEL_ACCESS_TOKEN, LINE_CHANNEL_SECRET must be set/, 'the LINE channel is not inherited');
+    assert.throws(load([hanBot({ color: 'blue' })]), /Bot "han" has an unknown setting "color"/);
+    assert.throws(load([hanBot(), mayorBot({ webhookPath: '/webhook' })]), /share the webhookPath "\/webhook"/);
+    assert.throws(load([hanBot(), hanBot({ webhookPath: '/webhook/2' })]), /share the id "han"/);
+    assert.throws(load([{ id: '../han' }]), /Bot #1 .* needs an id/);
+    assert.throws(load([hanBot({ env: { ADMIN_API_TOKEN: 'token' } }), mayorBot({ quotesFile: 'quotes.json', tagRulesFile: 'mayorRules.json' })]), /share the quotesFile ".*quotes\.json", which the admin API rewrites/);
+    assert.throws(load([hanBot({ env: { ADMIN_API_TOKEN: 'token' } }), mayorBot({ quotesFile: 'mayorQuotes.json' })]), /share the tagRulesFile/);
+    assert.doesNotThrow(load([hanBot(), mayorBot()]), 'read-only bots can share them');
+});
+
+// Start both bots on one server, each with its own photo API, quotes file,
+// fake LINE client and scripted LLM
+async function startBots(t, { llmScripts = {} } = {}) {
+    const dir = tempDir(t);
+    const hanPhotos = await startStubPhotoApi({ all: [photo('han')] });
+    const mayorPhotos = await startStubPhotoApi({ all: [photo('mayor')] });
+    fs.writeFileSync(path.join(dir, 'mayorQuotes.json'), JSON.stringify(['市政要顧好，捷運要蓋好']));
+
+    const configs = loadBotConfigs({
+        ...ENV,
+        BOTS_FILE: writeBots(dir, [
+            hanBot({ photoApiUrl: hanPhotos.url, dataDir: path.join(dir, 'han') }),
+            mayorBot({
+                photoApiUrl: mayorPhotos.url,
+                quotesFile: path.join(dir, 'mayorQuotes.json'),
+                tagRulesFile: path.join(dir, 'mayorTagRules.json'),
+                dataDir: path.join(dir, 'mayor'),
+            }),
+        ]),
+        PHOTO_API_RETRIES: '0',
+        ADMIN_API_TOKEN: 'admin-token',
+    });
+    const clients = {};
+    const llms = {};
+    const { app, bots } = createHostApp(configs, {
+        depsFor: (config) => {
+            clients[config.bot.id] = createFakeLineClient();
+            llms[config.bot.id] = createScriptedLlm(llmScripts[config.bot.id]);
+            return { client: clients[config.bot.id], messagingClient: clients[config.bot.id], llm: llms[config.bot.id] };
+        },
+    });
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    t.after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await Promise.all([hanPhotos.close(), mayorPhotos.close()]);
+    });
+
+    // Post an event to a bot's webhook and return the messages replied to it
+    async function send(botId, event, { secret } = {}) {
+        const bot = bots.find(b => b.id === botId);
+        const body = JSON.stringify({ destination: 'Ubot', events: [event] });
+        const response = await fetch(`${url}${bot.config.bot.webhookPath}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-line-signature': signBody(body, secret || bot.config.line.channelSecret) },
+            body,
+        });
+        await bot.eventQueue.idle();
+        await bot.searchAnalytics.flush();
+        const reply = clients[botId].replies.find(r => r.replyToken === event.replyToken);
+        return { status: response.status, messages: reply ? reply.messages : null };
+    }
+
+    return { url, bots, clients, llms, photoApis: { han: hanPhotos, mayor: mayorPhotos }, send };
+}
+
+test('each bot answers on its own webhook with its own prefix, photos and quotes', async (t) => {
+    const host = await startBots(t);
+
+    const han = await host.send('han', textEvent('院長好'));
+    assert.equal(han.messages[0].originalContentUrl, 'https://photos.example.com/Photos/han.jpg');
+    const mayor = await host.send('mayor', textEvent('市長好'));
+    assert.equal(mayor.messages[0].originalContentUrl, 'https://photos.example.com/Photos/mayor.jpg');
+    assert.deepEqual(mayor.messages[0].quickReply.items.map(item => item.action.displayText), ['市長好', '市長，金句'], 'chips use the prefix');
+
+    const [quote] = (await host.send('mayor', textEvent('市長，金句'))).messages;
+    assert.equal(quote.text, '市政要顧好，捷運要蓋好');
+    assert.equal((await host.send('mayor', textEvent('院長好', { source: groupSource() }))).messages, null, 'the default prefix is not a command');
+    assert.equal((await host.send('han', textEvent('市長好', { source: groupSource() }))).messages, null);
+
+    const [help] = (await host.send('mayor', textEvent('市長，幫助'))).messages;
+    assert.match(help.text, /^市長會的指令：\n市長好：隨機送上一張市長的照片\n/);
+    assert.doesNotMatch(help.text, /院長/);
+
+    assert.equal(host.clients.han.replies.length, 1);
+    assert.equal(host.clients.mayor.replies.length, 3);
+});
+
+test('a webhook only accepts its own channel signature', async (t) => {
+    const host = await startBots(t);
+    const event = textEvent('市長好');
+    const { status, messages } = await host.send('mayor', event, { secret: ENV.HAN_SECRET });
+    assert.notEqual(status, 200);
+    assert.equal(messages, null);
+});
+
+test('generation prompts and fixed replies use the bot persona', async (t) => {
+    const host = await startBots(t, { llmScripts: { mayor: [new Error('expansion failed'), new Error('generation failed')] } });
+    const [message] = (await host.send('mayor', textEvent('市長，外星人'))).messages;
+    assert.equal(message.text, '市長沒有在跟你外星人的啦！');
+    const prompt = host.llms.mayor.calls[1].prompt;
+    assert.ok(prompt.startsWith(MAYOR_PERSONA), prompt.slice(0, 40));
+    assert.match(prompt, /以下市長的語錄範例/);
+    assert.match(prompt, /市政要顧好，捷運要蓋好/);
+    assert.doesNotMatch(prompt, /韓國瑜/);
+});
+
+test('the chat keyword prompt uses the bot persona', async (t) => {
+    const host = await startBots(t, { llmScripts: { mayor: ['', '市長跟你說'] } });
+    const [message] = (await host.send('mayor', textEvent('你好嗎'))).messages;
+    assert.equal(message.text, '市長跟你說');
+    const prompt = host.llms.mayor.calls[0].prompt;
+    assert.match(prompt, /^你是一個模仿市長的聊天機器人。/);
+    assert.doesNotMatch(prompt, /韓國瑜|高雄市長/);
+});
+
+test('fixed replies use the prefix while quotes and daily pushes are sent as they are', async (t) => {
+    const host = await startBots(t);
+    const mayor = host.bots[1];
+    await mayor.quoteStore.add({ text: '院長也是從市長做起的' });
+    const [quote] = (await host.send('mayor', textEvent('市長，金句 院長'))).messages;
+    assert.equal(quote.text, '院長也是從市長做起的');
+
+    const [subscribed] = (await host.send('mayor', textEvent('市長，訂閱 全部 00:00', { source: groupSource('C1') }))).messages;
+    assert.match(subscribed.text, /^好，市長每天 00:00/);
+    assert.doesNotMatch(subscribed.text, /院長/);
+    await mayor.subscriptions.markDelivered('C1', '2000-01-01');
+    await mayor.scheduler.tick();
+    const [push] = host.clients.mayor.pushes;
+    assert.equal(push.to, 'C1');
+    assert.equal(push.messages[0].originalContentUrl, 'https://photos.example.com/Photos/mayor.jpg');
+    assert.ok(mayor.quoteStore.texts().includes(push.messages[1].text));
+});
+
+test('bots keep separate state and admin APIs, and share health checks', async (t) => {
+    const host = await startBots(t);
+    await host.send('mayor', textEvent('市長，訂閱', { source: groupSource('C1') }));
+    const [han, mayor] = host.bots;
+    assert.equal(han.subscriptions.get('C1'), null);
+    assert.equal(mayor.subscriptions.get('C1').content, 'quote');
+    assert.notEqual(han.config.subscriptions.filePath, mayor.config.subscriptions.filePath);
+
+    const headers = { Authorization: 'Bearer admin-token' };
+    const hanQuotes = await (await fetch(`${host.url}/admin/quotes`, { headers })).json();
+    const mayorQuotes = await (await fetch(`${host.url}/bots/mayor/admin/quotes`, { headers })).json();
+    assert.ok(hanQuotes.quotes.length > 1);
+    assert.deepEqual(mayorQuotes.quotes.map(quote => quote.text), ['市政要顧好，捷運要蓋好']);
+
+    const ready = await (await fetch(`${host.url}/readyz`)).json();
+    assert.deepEqual(Object.keys(ready.checks), ['han', 'mayor']);
+    assert.equal(ready.checks.mayor.photoApi.status, 'ok');
+    assert.ok(!host.photoApis.mayor.requests.includes('院長'), 'the check does not search for another persona');
+});
+
+test('metrics are labelled with the bot', async (t) => {
+    const host = await startBots(t);
+    await host.send('han', textEvent('院長，金句'));
+    await host.send('mayor', textEvent('市長好'));
+    const body = await (await fetch(`${host.url}/metrics`)).text();
+    assert.match(body, /^hanbot_commands_total\{bot="han",command="quote"\} \d+$/m);
+    assert.match(body, /^hanbot_commands_total\{bot="mayor",command="greeting"\} \d+$/m);
+    assert.match(body, /^hanbot_events_total\{bot="mayor",type="message"\} \d+$/m);
+    assert.doesNotMatch(body, /^hanbot_commands_total\{command=/m);
+});
+
+test('lifecycle events are tracked per bot', async (t) => {
+    const host = await startBots(t);
+    await host.send('mayor', { ...baseEvent('join', groupSource('C9')) });
+    assert.deepEqual(host.bots[1].activeChats.list().map(chat => chat.chatKey), ['C9']);
+    assert.deepEqual(host.bots[0].activeChats.list(), []);
+    assert.match(host.clients.mayor.replies[0].messages[0].text, /市長/);
+});
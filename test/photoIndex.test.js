@@ -0,0 +1,142 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { start, tempDir, textEvent, PHOTO_BASE_URL } = require('./helpers');
+const { normalizeSearchText } = require('../src/chineseText');
+const { createPhotoIndex, scoreTerm } = require('../src/photoIndex');
+
+// The local photo index: normalization, synonyms, fuzzy ranking and the
+// fallback to the photo API and Gemini.
+
+function writeSynonyms(t, groups) {
+    const filePath = path.join(tempDir(t), 'synonyms.json');
+    fs.writeFileSync(filePath, JSON.stringify(groups));
+    return filePath;
+}
+
+// A repository serving `photos` as the full list and nothing from ?search=
+function createListRepository(photos) {
+    const searches = [];
+    return {
+        searches,
+        listAll: async () => photos,
+        search: async (keyword) => {
+            searches.push(keyword);
+            return [];
+        },
+    };
+}
+
+const LIBRARY = [
+    { path: '/Photos/rich_01.jpg', tags: ['發大財'] },
+    { path: '/Photos/economy.jpg', tags: '拼經濟, 高雄' },
+    { path: '/Photos/beach.jpg', caption: '院長在旗津海邊散步' },
+    { path: '/Photos/台灣加油.jpg' },
+    { path: 'broken.jpg', tags: ['發大財'] },
+];
+
+test('normalizes simplified Chinese, width, case and punctuation', () => {
+    assert.equal(normalizeSearchText('发大财！'), '發大財');
+    assert.equal(normalizeSearchText(' 發 大 財 '), '發大財');
+    assert.equal(normalizeSearchText('ＬＩＮＥ 贴图'), 'line貼圖');
+    assert.equal(normalizeSearchText('臺灣'), '台灣');
+});
+
+test('scores exact, partial and fuzzy matches', () => {
+    assert.equal(scoreTerm('發大財', '發大財'), 1);
+    assert.ok(scoreTerm('經濟', '拼經濟') > scoreTerm('經濟', '院長在高雄拼經濟的照片'));
+    assert.ok(scoreTerm('發大財啦', '發大財') >= 0.5, 'a query mostly made of the term');
+    assert.ok(scoreTerm('明天要不要一起去吃飯', '吃飯') < 0.5, 'a sentence mentioning the term');
+    assert.ok(scoreTerm('拼經計', '拼經濟') >= 0.5, 'one typo in three characters');
+    assert.equal(scoreTerm('財', '發大財'), 0, 'single characters only match exactly');
+    assert.equal(scoreTerm('外星人', '發大財'), 0);
+});
+
+test('ranks photos by tags, file names and captions', async (t) => {
+    const index = createPhotoIndex({ repository: createListRepository(LIBRARY), syncIntervalMs: 0 });
+    assert.equal(await index.sync(), 4, 'photos with invalid paths are not indexed');
+
+    assert.deepEqual(index.rank('发大财').map(result => result.photo.path), ['/Photos/rich_01.jpg']);
+    assert.deepEqual(index.rank('rich').map(result => result.photo.path), ['/Photos/rich_01.jpg']);
+    assert.deepEqual(index.rank('旗津').map(result => result.photo.path), ['/Photos/beach.jpg']);
+    assert.deepEqual(index.rank('臺灣').map(result => result.photo.path), ['/Photos/台灣加油.jpg']);
+    assert.deepEqual(index.rank('外星人'), []);
+});
+
+test('expands queries with synonym groups, ranked below the word itself', async (t) => {
+    const synonymsFile = writeSynonyms(t, [['發大財', '賺大錢'], ['高雄', '港都']]);
+    const index = createPhotoIndex({ repository: createListRepository(LIBRARY), synonymsFile, syncIntervalMs: 0 });
+    await index.sync();
+
+    const [result] = index.rank('赚大钱');
+    assert.equal(result.photo.path, '/Photos/rich_01.jpg');
+    assert.equal(result.score, 0.9);
+    assert.deepEqual(index.rank('港都').map(r => r.photo.path), ['/Photos/economy.jpg']);
+});
+
+test('asks the photo API until synced and when the index has no good match', async () => {
+    const repository = createListRepository(LIBRARY);
+    const index = createPhotoIndex({ repository, syncIntervalMs: 0 });
+    assert.deepEqual(await index.search('發大財'), []);
+    await index.sync();
+    assert.equal((await index.search('發大財')).length, 1);
+    await index.search('外星人');
+    assert.deepEqual(repository.searches, ['發大財', '外星人']);
+});
+
+test('keeps the previous index when a sync fails', async () => {
+    let fail = false;
+    const repository = {
+        listAll: async () => {
+            if (fail) throw new Error('photo API down');
+            return LIBRARY;
+        },
+        search: async () => [],
+    };
+    const index = createPhotoIndex({ repository, syncIntervalMs: 0 });
+    await index.sync();
+    fail = true;
+    assert.equal(await index.sync(), 4);
+    assert.equal((await index.search('發大財')).length, 1);
+});
+
+test('院長，[tag] finds near-miss tags locally without calling Gemini', async (t) => {
+    const harness = await start(t, { photos: { all: LIBRARY } });
+    await harness.bot.photoIndex.sync();
+
+    const [simplified] = await harness.send(textEvent('院長，发大财'));
+    assert.equal(simplified.originalContentUrl, `${PHOTO_BASE_URL}/Photos/rich_01.jpg`);
+    const [typo] = await harness.send(textEvent('院長，拼經計'));
+    assert.equal(typo.originalContentUrl, `${PHOTO_BASE_URL}/Photos/economy.jpg`);
+
+    assert.equal(harness.llm.calls.length, 0);
+    assert.deepEqual(harness.photoApi.requests, [null], 'only the sync asked the photo API');
+});
+
+test('sentences mentioning a tag go to Gemini instead of matching it', async (t) => {
+    const library = [{ path: '/Photos/dinner.jpg', tags: ['吃飯'] }, { path: '/Photos/sunny.jpg', tags: ['天氣'] }];
+    const harness = await start(t, { photos: { all: library }, llmScript: ['', '院長請你吃飯', '', '院長說天氣很好'] });
+    await harness.bot.photoIndex.sync();
+
+    const [chat] = await harness.send(textEvent('明天要不要一起去吃飯'));
+    assert.equal(chat.text, '院長請你吃飯');
+    assert.match(harness.llm.calls[0].prompt, /明天要不要一起去吃飯/, 'keyword extraction');
+    const [tag] = await harness.send(textEvent('院長，今天天氣好嗎'));
+    assert.equal(tag.text, '院長說天氣很好');
+    assert.match(harness.llm.calls[2].prompt, /【搜尋詞彙】：\n"今天天氣好嗎"/, 'keyword expansion');
+});
+
+test('falls back to the photo API and Gemini expansion when the index has no match', async (t) => {
+    const harness = await start(t, {
+        photos: { all: LIBRARY, search: { 外星人: [] } },
+        llmScript: ['發大財'],
+    });
+    await harness.bot.photoIndex.sync();
+    const [message] = await harness.send(textEvent('院長，外星人'));
+    assert.equal(message.originalContentUrl, `${PHOTO_BASE_URL}/Photos/rich_01.jpg`);
+    assert.deepEqual(harness.photoApi.requests, [null, '外星人']);
+    assert.equal(harness.llm.calls.length, 1);
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start, textEvent, postbackEvent, photo, PHOTO_BASE_URL } = require('./helpers');
+const { createQuoteRanker } = require('../src/quoteRanker');
+const { createMockProvider } = require('../src/llm');
+const { normalizeSearchText } = require('../src/chineseText');
+
+// "院長，金句 [主題]", relevance ranking and the quotes used as style examples.
+
+const QUOTES = ['貨出得去，人進得來，高雄發大財', '我們要拼經濟，不要拼政治', '莫忘世上苦人多', '經濟好，大家的日子才會好'];
+
+// The quotes the prompt was given as style examples
+function styleExamples(prompt) {
+    const [, section] = prompt.match(/【語錄範例】：\n([\s\S]*?)\n\n【/);
+    return section.split('\n');
+}
+
+test('ranks quotes by shared characters and bigrams', () => {
+    const ranker = createQuoteRanker({ getTexts: () => QUOTES });
+    assert.deepEqual(ranker.rankLocal('经济').map(result => result.text).sort(), [
+        '我們要拼經濟，不要拼政治',
+        '經濟好，大家的日子才會好',
+    ]);
+    assert.equal(ranker.rankLocal('高雄要發財')[0].text, '貨出得去，人進得來，高雄發大財');
+    assert.deepEqual(ranker.rankLocal('外星人'), [], 'one shared character is not enough');
+    assert.deepEqual(ranker.rankLocal('的'), []);
+});
+
+test('mixes in embeddings when the provider has them, and falls back without', async () => {
+    // One dimension per idea: money, economy, people
+    const embed = texts => texts.map(text => [
+        /錢|財/.test(text) ? 1 : 0,
+        /經濟/.test(text) ? 1 : 0,
+        /苦人|人民/.test(text) ? 1 : 0,
+    ]);
+    const llm = { enabled: true, embed: async texts => embed(texts) };
+    const ranker = createQuoteRanker({ getTexts: () => QUOTES, llm });
+    assert.equal(ranker.usesEmbeddings, true);
+    const [best] = await ranker.rank('賺錢');
+    assert.equal(best.text, '貨出得去，人進得來，高雄發大財');
+    assert.deepEqual((await ranker.rank('人民')).map(result => result.text), ['莫忘世上苦人多']);
+
+    const failing = createQuoteRanker({
+        getTexts: () => QUOTES,
+        llm: { enabled: true, embed: async () => { throw new Error('embedding unavailable'); } },
+    });
+    assert.deepEqual((await failing.rank('經濟')).map(result => result.text), ranker.rankLocal('經濟').map(result => result.text));
+});
+
+test('embeds each normalized query once', async () => {
+    const embedded = [];
+    const llm = { enabled: true, embed: async texts => { embedded.push(...texts); return texts.map(() => [1, 0]); } };
+    const ranker = createQuoteRanker({ getTexts: () => QUOTES, llm });
+    await ranker.rank('經濟');
+    await ranker.rank('经济');
+    await ranker.rank('人民');
+    assert.deepEqual(embedded.filter(text => !QUOTES.includes(text)), ['經濟', '人民']);
+});
+
+test('topic quote embeddings count against the daily LLM quota', async (t) => {
+    let embedCalls = 0;
+    const llm = createMockProvider({ embed: texts => { embedCalls++; return texts.map(() => [1, 0]); } });
+    const harness = await start(t, { env: { LLM_DAILY_QUOTA: '2' }, llm });
+    await harness.send(textEvent('院長，金句 台灣'));
+    assert.equal(embedCalls, 2, 'the quotes and the topic');
+
+    const [message] = await harness.send(textEvent('院長，金句 經濟'));
+    assert.equal(embedCalls, 2, 'over the quota');
+    assert.match(normalizeSearchText(message.text), /經濟/, 'ranked locally instead');
+});
+
+test('院長，金句 [主題] replies with a relevant quote and offers another on the topic', async (t) => {
+    const harness = await start(t);
+    const [message] = await harness.send(textEvent('院長，金句 台灣'));
+    assert.match(normalizeSearchText(message.text), /台灣/);
+    assert.ok(harness.bot.quoteStore.texts().includes(message.text));
+    const data = new URLSearchParams(message.quickReply.items[0].action.data);
+    assert.deepEqual([data.get('action'), data.get('q')], ['quote', '台灣']);
+
+    const [another] = await harness.send(postbackEvent(message.quickReply.items[0].action.data));
+    assert.match(normalizeSearchText(another.text), /台灣/);
+    assert.notEqual(another.text, message.text);
+});
+
+test('院長，金句 [主題] says so when no quote is about the topic', async (t) => {
+    const harness = await start(t);
+    const [message] = await harness.send(textEvent('院長，語錄 外星人'));
+    assert.match(message.text, /^院長好像沒講過跟「外星人」有關的話，送你這句：\n/);
+});
+
+test('院長，金句 alone still replies with a random quote', async (t) => {
+    const harness = await start(t);
+    const [message] = await harness.send(textEvent('院長，語錄'));
+    assert.ok(harness.bot.quoteStore.texts().includes(message.text));
+    assert.equal(new URLSearchParams(message.quickReply.items[0].action.data).get('q'), null);
+});
+
+test('院長 金句 with a space is searched as a tag', async (t) => {
+    const harness = await start(t, { photos: { search: { 金句: [photo('quote')] } } });
+    const [message] = await harness.send(textEvent('院長 金句'));
+    assert.equal(message.originalContentUrl, `${PHOTO_BASE_URL}/Photos/quote.jpg`);
+});
+
+test('generation prompts get the quotes most relevant to the message', async (t) => {
+    const harness = await start(t, { llmScript: ['', '院長愛台灣'] });
+    await harness.send(textEvent('你愛不愛臺灣'));
+    const examples = styleExamples(harness.llm.calls[1].prompt);
+    assert.ok(examples.length > 0 && examples.length <= 5, `${examples.length} examples`);
+    assert.ok(examples.every(quote => normalizeSearchText(quote).includes('台灣')), examples.join('\n'));
+});
+
+test('other style modes ignore the message', async (t) => {
+    const harness = await start(t, { env: { QUOTE_STYLE_MODE: 'first', QUOTE_STYLE_MAX_CHARS: '30' }, llmScript: ['', '院長愛台灣'] });
+    await harness.send(textEvent('你愛不愛臺灣'));
+    assert.deepEqual(styleExamples(harness.llm.calls[1].prompt), ['要有出頭天，先要有立足點，追求世界化，莫忘本土化。', '天地可破...']);
+});
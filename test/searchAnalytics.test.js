@@ -0,0 +1,141 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { start, tempDir, textEvent, postbackEvent, groupSource, userSource, photo } = require('./helpers');
+const { createSearchAnalytics, reportToCsv } = require('../src/searchAnalytics');
+const { logger } = require('../src/logger');
+
+// Tag search analytics and the admin search report.
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+function getReport(harness, query = '', { token = ADMIN_TOKEN } = {}) {
+    return fetch(`${harness.url}/admin/reports/searches${query}`, { headers: { Authorization: `Bearer ${token}` } });
+}
+
+test('records every tag search with its expanded keywords and resolution', async (t) => {
+    const harness = await start(t, {
+        env: { ADMIN_API_TOKEN: ADMIN_TOKEN },
+        photos: { search: { 發大財: [photo('rich')] } },
+        llmScript: ['發大財,拼經濟', '火星', '院長沒去過火星啦'],
+    });
+    await harness.send(textEvent('院長，發大財', { source: groupSource('C1', 'U1') }));
+    await harness.send(textEvent('院長，賺大錢', { source: groupSource('C1', 'U2') }));
+    await harness.send(textEvent('院長，外星人', { source: userSource('U3') }));
+    await harness.bot.searchAnalytics.flush();
+
+    const lines = fs.readFileSync(harness.config.searchAnalytics.filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(({ tag, photoCount, keywords, hitKeyword, resolution }) => ({ tag, photoCount, keywords, hitKeyword, resolution })), [
+        { tag: '發大財', photoCount: 1, keywords: [], hitKeyword: null, resolution: 'tag-search' },
+        { tag: '賺大錢', photoCount: 0, keywords: ['發大財', '拼經濟'], hitKeyword: '發大財', resolution: 'gemini-keyword-search' },
+        { tag: '外星人', photoCount: 0, keywords: ['火星'], hitKeyword: null, resolution: 'gemini-text' },
+    ]);
+    assert.deepEqual(lines.map(line => [line.chatKey, line.sourceType]), [
+        [logger.redact('C1'), 'group'],
+        [logger.redact('C1'), 'group'],
+        [logger.redact('U3'), 'user'],
+    ]);
+    assert.ok(!fs.readFileSync(harness.config.searchAnalytics.filePath, 'utf8').includes('"C1"'), 'no raw chat ids');
+
+    const response = await getReport(harness);
+    assert.equal(response.status, 200);
+    const report = await response.json();
+    assert.deepEqual(report.totals, { searches: 3, misses: 2, rescued: 1, chats: 2 });
+    assert.deepEqual(report.topMisses.map(({ tag, count, rescued, lastResolution }) => ({ tag, count, rescued, lastResolution })), [
+        { tag: '外星人', count: 1, rescued: 0, lastResolution: 'gemini-text' },
+        { tag: '賺大錢', count: 1, rescued: 1, lastResolution: 'gemini-keyword-search' },
+    ]);
+    assert.deepEqual(report.topExpandedHits.map(({ keyword, count, tags }) => ({ keyword, count, tags })), [
+        { keyword: '發大財', count: 1, tags: ['賺大錢'] },
+    ]);
+    assert.deepEqual(report.chats.map(({ chatKey, searches, misses }) => ({ chatKey, searches, misses })), [
+        { chatKey: logger.redact('C1'), searches: 2, misses: 1 },
+        { chatKey: logger.redact('U3'), searches: 1, misses: 1 },
+    ]);
+});
+
+test('"再來一張" postbacks are not recorded as new searches', async (t) => {
+    const harness = await start(t, { env: { ADMIN_API_TOKEN: ADMIN_TOKEN }, photos: { search: { 發大財: [photo('rich'), photo('rich2')] } } });
+    const [message] = await harness.send(textEvent('院長，發大財'));
+    await harness.send(postbackEvent(message.quickReply.items[0].action.data));
+    await harness.send(postbackEvent(message.quickReply.items[0].action.data));
+
+    const report = await (await getReport(harness)).json();
+    assert.deepEqual(report.totals, { searches: 1, misses: 0, rescued: 0, chats: 1 });
+});
+
+test('related-tag chips are recorded as searches', async (t) => {
+    const harness = await start(t, {
+        env: { ADMIN_API_TOKEN: ADMIN_TOKEN },
+        photos: { search: { 發大財: [photo('rich')], 拼經濟: [photo('economy')] } },
+        llmScript: ['發大財,拼經濟'],
+    });
+    const [message] = await harness.send(textEvent('院長，賺大錢'));
+    const related = message.quickReply.items.find(item => item.action.label === '拼經濟');
+    assert.ok(related, 'offers the other keyword with photos');
+    await harness.send(postbackEvent(related.action.data));
+
+    const report = await (await getReport(harness)).json();
+    assert.deepEqual(report.totals, { searches: 2, misses: 1, rescued: 1, chats: 1 });
+    assert.deepEqual(harness.bot.searchAnalytics.query().records.map(({ tag, photoCount }) => ({ tag, photoCount })), [
+        { tag: '賺大錢', photoCount: 0 },
+        { tag: '拼經濟', photoCount: 1 },
+    ]);
+});
+
+test('the search report needs the admin token and valid dates', async (t) => {
+    const harness = await start(t, { env: { ADMIN_API_TOKEN: ADMIN_TOKEN } });
+    assert.equal((await getReport(harness, '', { token: 'wrong' })).status, 401);
+
+    const invalid = await getReport(harness, '?from=2024-02-30');
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).error, 'from must be a date like 2024-01-31.');
+    assert.equal((await getReport(harness, '?from=2024-03-02&to=2024-03-01')).status, 400);
+    assert.equal((await getReport(harness, '/tags.csv')).status, 400);
+});
+
+test('exports report lists as CSV', async (t) => {
+    const harness = await start(t, { env: { ADMIN_API_TOKEN: ADMIN_TOKEN } });
+    await harness.send(textEvent('院長，=1+1'));
+    await harness.send(textEvent('院長，外星人, 火星人'));
+
+    const response = await getReport(harness, '/misses.csv');
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    assert.match(response.headers.get('content-disposition'), /attachment; filename="searches-misses-\d{4}-\d{2}-\d{2}-\d{4}-\d{2}-\d{2}\.csv"/);
+    const body = Buffer.from(await response.arrayBuffer()).toString('utf8');
+    const rows = body.replace(/^\ufeff/, '').trim().split('\r\n');
+    assert.equal(rows[0], 'tag,count,rescued,lastResolution,lastAt');
+    assert.match(rows[1], /^"外星人, 火星人",1,0,fixed-fallback,\d{4}-/);
+    assert.match(rows[2], /^'=1\+1,1,0,fixed-fallback,/, 'formulas are not run by spreadsheets');
+});
+
+test('filters by local date, keeps records across restarts and drops expired ones', async (t) => {
+    const filePath = path.join(tempDir(t), 'searches.jsonl');
+    let time = Date.parse('2024-03-01T15:30:00Z'); // 23:30 in Taipei
+    const now = () => time;
+    const first = createSearchAnalytics({ filePath, retentionDays: 30, now });
+    await first.record({ chatKey: 'C1', sourceType: 'group', tag: '發大財', photoCount: 0 });
+    time = Date.parse('2024-03-01T16:30:00Z'); // 00:30 on March 2 in Taipei
+    await first.record({ chatKey: 'C1', sourceType: 'group', tag: '发大财', photoCount: 0 });
+    await first.record({ chatKey: 'C2', sourceType: 'room', tag: '拼經濟', photoCount: 2 });
+
+    const reloaded = createSearchAnalytics({ filePath, retentionDays: 30, now });
+    assert.deepEqual(reloaded.report({ from: '2024-03-01', to: '2024-03-01' }).totals, { searches: 1, misses: 1, rescued: 0, chats: 1 });
+    const both = reloaded.report({ from: '2024-03-01', to: '2024-03-02' });
+    assert.deepEqual(both.topMisses.map(({ tag, count }) => [tag, count]), [['發大財', 2]], 'simplified and traditional tags are grouped');
+
+    time = Date.parse('2024-03-31T16:00:00Z'); // 30 days after the first search
+    const later = createSearchAnalytics({ filePath, retentionDays: 30, now });
+    await later.flush();
+    assert.equal(later.report({ from: '2024-03-01', to: '2024-04-01' }).totals.searches, 2);
+    assert.equal(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 2);
+});
+
+test('CSV cells are quoted and lists are joined', () => {
+    const csv = reportToCsv({ topExpandedHits: [{ keyword: '發大財', count: 2, tags: ['賺大錢', '有錢'], lastAt: '2024-03-01T00:00:00.000Z' }] }, 'expanded-hits');
+    assert.equal(csv, '\ufeffkeyword,count,tags,lastAt\r\n發大財,2,賺大錢 有錢,2024-03-01T00:00:00.000Z\r\n');
+});
@@ -0,0 +1,254 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSubscriptions } = require('../src/subscriptions');
+const { createSubscriptionScheduler } = require('../src/subscriptionScheduler');
+const {
+    start,
+    baseEvent,
+    textEvent,
+    userSource,
+    groupSource,
+    photo,
+    PHOTO_BASE_URL,
+} = require('./helpers');
+
+// "院長，訂閱" daily pushes: the commands, membership cleanup and the scheduler.
+
+function createMemoryStore() {
+    const data = new Map();
+    return {
+        get: key => data.get(key),
+        set: async (key, value) => { data.set(key, value); },
+        delete: async (key) => { data.delete(key); },
+        entries: () => Array.from(data.entries()),
+    };
+}
+
+// A clock set to a UTC time, e.g. clock('2026-03-01T00:00:00Z'); Asia/Taipei is UTC+8
+function clock(iso) {
+    const state = { time: Date.parse(iso) };
+    const now = () => state.time;
+    now.set = (next) => { state.time = Date.parse(next); };
+    now.advance = (ms) => { state.time += ms; };
+    return now;
+}
+
+test('院長，訂閱 subscribes the chat with the defaults and keeps earlier choices', async (t) => {
+    const harness = await start(t);
+    const [created] = await harness.send(textEvent('院長，訂閱', { source: userSource('Usub') }));
+    assert.match(created.text, /^好，院長每天 08:00（Asia\/Taipei）會傳金句過來！/);
+    assert.deepEqual(
+        { ...harness.bot.subscriptions.get('Usub'), lastDeliveredOn: undefined, createdAt: undefined },
+        { sourceType: 'user', content: 'quote', time: '08:00', timeZone: 'Asia/Taipei', lastDeliveredOn: undefined, createdAt: undefined }
+    );
+
+    const [updated] = await harness.send(textEvent('院長，訂閱 照片 7:30', { source: userSource('Usub') }));
+    assert.match(updated.text, /^好，院長每天 07:30（Asia\/Taipei）會傳照片過來！/);
+
+    await harness.send(textEvent('院長，訂閱 Asia/Tokyo', { source: userSource('Usub') }));
+    const subscription = harness.bot.subscriptions.get('Usub');
+    assert.equal(subscription.content, 'photo');
+    assert.equal(subscription.time, '07:30');
+    assert.equal(subscription.timeZone, 'Asia/Tokyo');
+});
+
+test('院長，訂閱 explains the usage for words it does not understand', async (t) => {
+    const harness = await start(t);
+    const [message] = await harness.send(textEvent('院長，訂閱 每天早上'));
+    assert.match(message.text, /^看不懂「每天早上」。\n用法：院長，訂閱/);
+    assert.equal(harness.bot.subscriptions.list().length, 0);
+});
+
+test('only admins change a group subscription when admins are configured', async (t) => {
+    const harness = await start(t, { env: { ADMIN_USER_IDS: 'Uadmin' } });
+    const [rejected] = await harness.send(textEvent('院長，訂閱', { source: groupSource('C1', 'U1') }));
+    assert.equal(rejected.text, '抱歉，只有管理員可以修改院長的訂閱。');
+
+    await harness.send(textEvent('院長，訂閱 全部', { source: groupSource('C1', 'Uadmin') }));
+    assert.equal(harness.bot.subscriptions.get('C1').content, 'both');
+    assert.equal(harness.bot.subscriptions.get('C1').sourceType, 'group');
+});
+
+test('院長，取消訂閱 removes the subscription', async (t) => {
+    const harness = await start(t);
+    await harness.send(textEvent('院長，訂閱'));
+    const [removed] = await harness.send(textEvent('院長，取消訂閱'));
+    assert.equal(removed.text, '好，院長以後不會每天傳訊息了，想我再說「院長，訂閱」！');
+    const [missing] = await harness.send(textEvent('院長，取消訂閱'));
+    assert.match(missing.text, /^這裡還沒有訂閱喔！/);
+});
+
+test('unfollow, leave, follow and join remove the chat subscription', async (t) => {
+    const harness = await start(t);
+    for (const [type, source] of [
+        ['unfollow', userSource('U1')],
+        ['follow', userSource('U1')],
+        ['leave', groupSource('C1')],
+        ['join', groupSource('C1')],
+    ]) {
+        await harness.send(textEvent('院長，訂閱', { source }));
+        assert.ok(harness.bot.subscriptions.get(source.groupId || source.userId));
+        const event = baseEvent(type, source);
+        if (type === 'unfollow' || type === 'leave') delete event.replyToken;
+        await harness.send(event);
+        assert.equal(harness.bot.subscriptions.get(source.groupId || source.userId), null, type);
+    }
+});
+
+test('the scheduler pushes a due subscription through the push API', async (t) => {
+    const harness = await start(t, { photos: { all: [photo('daily')] } });
+    // Due at 00:00, so the tick delivers whatever the time of day
+    await harness.send(textEvent('院長，訂閱 全部 00:00', { source: groupSource('C1') }));
+    await harness.bot.subscriptions.markDelivered('C1', '2000-01-01');
+    await harness.bot.scheduler.tick();
+
+    assert.equal(harness.client.pushes.length, 1);
+    const [push] = harness.client.pushes;
+    assert.equal(push.to, 'C1');
+    assert.equal(push.messages[0].originalContentUrl, `${PHOTO_BASE_URL}/Photos/daily.jpg`);
+    assert.ok(harness.bot.quoteStore.texts().includes(push.messages[1].text));
+
+    await harness.bot.scheduler.tick();
+    assert.equal(harness.client.pushes.length, 1, 'delivered once per day');
+});
+
+test('delivers once per local day at or after the subscription time', async () => {
+    const now = clock('2026-03-01T15:00:00Z'); // 23:00 in Taipei
+    const subscriptions = createSubscriptions({ store: createMemoryStore(), now });
+    await subscriptions.subscribe('U1', { sourceType: 'user', content: 'quote', time: '08:00', timeZone: 'Asia/Taipei' });
+    const delivered = [];
+    const scheduler = createSubscriptionScheduler({
+        subscriptions,
+        deliver: async (subscription) => { delivered.push(now()); },
+        now,
+    });
+
+    await scheduler.tick();
+    assert.equal(delivered.length, 0, 'subscribing after the time starts tomorrow');
+
+    now.set('2026-03-01T23:59:00Z'); // 07:59 on 03-02 in Taipei
+    await scheduler.tick();
+    assert.equal(delivered.length, 0);
+
+    now.set('2026-03-02T00:00:00Z'); // 08:00
+    await scheduler.tick();
+    now.set('2026-03-02T06:00:00Z');
+    await scheduler.tick();
+    assert.equal(delivered.length, 1);
+    assert.equal(subscriptions.get('U1').lastDeliveredOn, '2026-03-02');
+
+    now.set('2026-03-03T03:00:00Z'); // 11:00 the next day, e.g. after a restart
+    await scheduler.tick();
+    assert.equal(delivered.length, 2);
+});
+
+test('uses each subscription\'s own time zone', async () => {
+    const now = clock('2026-03-01T00:00:00Z');
+    const subscriptions = createSubscriptions({ store: createMemoryStore(), now });
+    await subscriptions.subscribe('Utokyo', { sourceType: 'user', content: 'quote', time: '09:30', timeZone: 'Asia/Tokyo' });
+    await subscriptions.subscribe('Ulondon', { sourceType: 'user', content: 'quote', time: '09:30', timeZone: 'Europe/London' });
+    const delivered = [];
+    const scheduler = createSubscriptionScheduler({
+        subscriptions,
+        deliver: async ({ chatKey }) => { delivered.push(chatKey); },
+        now,
+    });
+
+    now.set('2026-03-01T00:30:00Z'); // 09:30 in Tokyo, 00:30 in London
+    await scheduler.tick();
+    assert.deepEqual(delivered, ['Utokyo']);
+
+    now.set('2026-03-01T09:30:00Z');
+    await scheduler.tick();
+    assert.deepEqual(delivered, ['Utokyo', 'Ulondon']);
+});
+
+test('a subscription with an unknown stored time zone does not stop the others', async () => {
+    const now = clock('2026-03-01T00:00:00Z'); // 08:00 in Taipei
+    const store = createMemoryStore();
+    const subscriptions = createSubscriptions({ store, now: () => Date.parse('2026-02-28T00:00:00Z') });
+    await store.set('Ubroken', { sourceType: 'user', content: 'quote', time: '08:00', timeZone: 'Mars/Olympus', lastDeliveredOn: null });
+    await subscriptions.subscribe('U1', { sourceType: 'user', content: 'quote', time: '08:00', timeZone: 'Asia/Taipei' });
+    const delivered = [];
+    const scheduler = createSubscriptionScheduler({
+        subscriptions,
+        deliver: async ({ chatKey }) => { delivered.push(chatKey); },
+        now,
+    });
+
+    await scheduler.tick();
+    assert.deepEqual(delivered, ['U1']);
+});
+
+test('retries failed deliveries with backoff, then skips the day', async () => {
+    const now = clock('2026-03-01T00:00:00Z'); // 08:00 in Taipei
+    const subscriptions = createSubscriptions({ store: createMemoryStore(), now: () => Date.parse('2026-02-28T00:00:00Z') });
+    await subscriptions.subscribe('U1', { sourceType: 'user', content: 'quote', time: '08:00', timeZone: 'Asia/Taipei' });
+    let attempts = 0;
+    const scheduler = createSubscriptionScheduler({
+        subscriptions,
+        deliver: async () => {
+            attempts++;
+            throw Object.assign(new Error('Service Unavailable'), { statusCode: 503 });
+        },
+        maxAttempts: 3,
+        retryDelayMs: 1000,
+        now,
+    });
+
+    await scheduler.tick();
+    await scheduler.tick();
+    assert.equal(attempts, 1, 'waits for the retry delay');
+
+    now.advance(1000);
+    await scheduler.tick();
+    assert.equal(attempts, 2);
+
+    now.advance(1000);
+    await scheduler.tick();
+    assert.equal(attempts, 2, 'the delay doubles');
+
+    now.advance(1000);
+    await scheduler.tick();
+    assert.equal(attempts, 3);
+    assert.equal(subscriptions.get('U1').lastDeliveredOn, '2026-03-01');
+
+    now.advance(60 * 1000);
+    await scheduler.tick();
+    assert.equal(attempts, 3, 'skipped until tomorrow');
+});
+
+test('does not retry errors that will not change on retry', async () => {
+    const now = clock('2026-03-01T00:00:00Z');
+    const subscriptions = createSubscriptions({ store: createMemoryStore(), now: () => Date.parse('2026-02-28T00:00:00Z') });
+    await subscriptions.subscribe('U1', { sourceType: 'user', content: 'quote', time: '08:00', timeZone: 'Asia/Taipei' });
+    let attempts = 0;
+    const scheduler = createSubscriptionScheduler({
+        subscriptions,
+        deliver: async () => {
+            attempts++;
+            throw Object.assign(new Error('Forbidden'), { statusCode: 403 });
+        },
+        retryDelayMs: 0,
+        now,
+    });
+
+    await scheduler.tick();
+    await scheduler.tick();
+    assert.equal(attempts, 1);
+    assert.equal(subscriptions.get('U1').lastDeliveredOn, '2026-03-01');
+});
+
+test('rejects invalid subscriptions', async () => {
+    const subscriptions = createSubscriptions({ store: createMemoryStore() });
+    await assert.rejects(
+        subscriptions.subscribe('U1', { sourceType: 'user', content: 'quote', time: '08:00', timeZone: 'Mars/Olympus' }),
+        /Unknown time zone "Mars\/Olympus"/
+    );
+    await assert.rejects(
+        subscriptions.subscribe('U1', { sourceType: 'user', content: 'video', time: '08:00', timeZone: 'Asia/Taipei' }),
+        /Unknown subscription content "video"/
+    );
+});
@@ -0,0 +1,159 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    start,
+    baseEvent,
+    userSource,
+    groupSource,
+    textEvent,
+    mentionEvent,
+    imageEvent,
+    postbackEvent,
+    photo,
+    PHOTO_BASE_URL,
+} = require('./helpers');
+
+// Webhook handling and event routing: signature checks, ignored events and
+// the fixed commands.
+
+test('rejects a webhook with an invalid signature', async (t) => {
+    const harness = await start(t);
+    const response = await harness.postEvents([textEvent('院長，金句')], { signature: 'not-a-signature' });
+    assert.notEqual(response.status, 200);
+    assert.equal(harness.client.replies.length, 0);
+});
+
+test('accepts an empty verification webhook', async (t) => {
+    const harness = await start(t);
+    const response = await harness.postEvents([]);
+    assert.equal(response.status, 200);
+});
+
+test('ignores unsupported events and sources', async (t) => {
+    const harness = await start(t);
+    assert.equal(await harness.send(baseEvent('memberLeft', groupSource())), null);
+    assert.equal(await harness.send({ ...textEvent('院長好'), source: { type: 'channel', channelId: 'X1' } }), null);
+    assert.equal(await harness.send({ ...baseEvent('message', userSource()), message: { id: 'v1', type: 'video' } }), null);
+    assert.equal(harness.photoApi.requests.length, 0);
+});
+
+test('ignores unknown postbacks, media and unmatched text in groups', async (t) => {
+    const harness = await start(t);
+    assert.equal(await harness.send(postbackEvent('action=unknown')), null);
+    assert.equal(await harness.send(imageEvent('img1', { source: groupSource() })), null);
+    assert.equal(await harness.send(textEvent('今天天氣真好', { source: groupSource() })), null);
+    assert.equal(harness.llm.calls.length, 0);
+});
+
+test('院長好 replies with a random photo from the whole library', async (t) => {
+    const harness = await start(t, { photos: { all: [photo('a')] } });
+    const [message] = await harness.send(textEvent('院長好'));
+    assert.equal(message.type, 'image');
+    assert.equal(message.originalContentUrl, `${PHOTO_BASE_URL}/Photos/a.jpg`);
+    assert.deepEqual(message.quickReply.items.map(item => item.action.label), ['再一張', '金句']);
+});
+
+test('院長好 reports an empty library, invalid paths and photo API errors', async (t) => {
+    const empty = await start(t, { photos: { all: [] } });
+    assert.deepEqual(await empty.send(textEvent('院長好')), [{ type: 'text', text: '院長這邊現在沒有照片啦！' }]);
+
+    const invalid = await start(t, { photos: { all: [{ path: 'a.jpg' }] } });
+    assert.deepEqual(await invalid.send(textEvent('院長好')), [{ type: 'text', text: '抱歉，隨機選到的照片路徑格式錯誤。' }]);
+
+    const failing = await start(t, { photos: { all: 500 } });
+    assert.deepEqual(await failing.send(textEvent('院長好')), [{ type: 'text', text: '抱歉，無法從圖片庫取得資料。' }]);
+
+    const unreachable = await start(t, { env: { PHOTO_API_URL: 'http://127.0.0.1:1/photos' } });
+    assert.deepEqual(await unreachable.send(textEvent('院長好')), [{ type: 'text', text: '抱歉，無法連線到圖片庫。' }]);
+});
+
+test('the greeting postback reruns 院長好', async (t) => {
+    const harness = await start(t, { photos: { all: [photo('a')] } });
+    const [message] = await harness.send(postbackEvent('action=greeting', { source: groupSource() }));
+    assert.equal(message.type, 'image');
+});
+
+test('院長，金句 replies with a quote from quotes.json', async (t) => {
+    const harness = await start(t);
+    const [message] = await harness.send(textEvent('院長，金句'));
+    assert.ok(harness.bot.quoteStore.texts().includes(message.text));
+    assert.equal(message.quickReply.items[0].action.data, 'action=quote');
+});
+
+test('院長，幫助 lists the commands', async (t) => {
+    const harness = await start(t);
+    const [message] = await harness.send(textEvent('院長，幫助'));
+    assert.match(message.text, /^院長會的指令：/);
+    assert.match(message.text, /院長，金句/);
+});
+
+test('院長，忘記 clears the conversation', async (t) => {
+    const harness = await start(t);
+    const [message] = await harness.send(textEvent('院長，忘記'));
+    assert.equal(message.text, '好，剛剛講的院長都忘記了，我們重新開始！');
+});
+
+test('院長，設定 shows and changes group settings', async (t) => {
+    const harness = await start(t, { env: { ADMIN_USER_IDS: 'Uadmin' } });
+    const [userReply] = await harness.send(textEvent('院長，設定'));
+    assert.equal(userReply.text, '設定只能在群組或聊天室裡使用喔！');
+
+    const [shown] = await harness.send(textEvent('院長，設定', { source: groupSource() }));
+    assert.match(shown.text, /閒聊（被 @ 時回話）：開/);
+
+    const [rejected] = await harness.send(textEvent('院長，設定 閒聊 關', { source: groupSource('C0001', 'U0001') }));
+    assert.equal(rejected.text, '抱歉，只有管理員可以修改院長的設定。');
+
+    const [updated] = await harness.send(textEvent('院長，設定 閒聊 關', { source: groupSource('C0001', 'Uadmin') }));
+    assert.match(updated.text, /閒聊（被 @ 時回話）：關/);
+
+    const [unknown] = await harness.send(textEvent('院長，設定 音量 大', { source: groupSource('C0001', 'Uadmin') }));
+    assert.match(unknown.text, /^看不懂「音量 大」這個設定。/);
+});
+
+test('院長，設定 changes nothing without configured admins', async (t) => {
+    const harness = await start(t);
+    const [rejected] = await harness.send(textEvent('院長，設定 閒聊 關', { source: groupSource() }));
+    assert.equal(rejected.text, '還沒有設定管理員，不能修改院長的設定。');
+    assert.equal(harness.bot.groupSettings.get('C0001').freeChat, true);
+});
+
+test('only admin settings changes skip the rate limit', async (t) => {
+    const harness = await start(t, { env: { ADMIN_USER_IDS: 'Uadmin', RATE_LIMIT_CHEAP_PER_USER: '1' } });
+    await harness.send(textEvent('院長，設定', { source: groupSource() }));
+    const [throttled] = await harness.send(textEvent('院長，設定', { source: groupSource() }));
+    assert.match(throttled.text, /講太多話了/);
+
+    await harness.send(textEvent('院長，設定', { source: groupSource('C0001', 'Uadmin') }));
+    const [adminThrottled] = await harness.send(textEvent('院長，設定', { source: groupSource('C0001', 'Uadmin') }));
+    assert.match(adminThrottled.text, /講太多話了/, 'showing is limited for admins too');
+    const [updated] = await harness.send(textEvent('院長，設定 頻率 5', { source: groupSource('C0001', 'Uadmin') }));
+    assert.match(updated.text, /頻率（每分鐘最多回覆）：5 則/);
+});
+
+test('throttles a user over the rate limit with one reply per window', async (t) => {
+    const harness = await start(t, { env: { RATE_LIMIT_CHEAP_PER_USER: '1' } });
+    await harness.send(textEvent('院長，金句'));
+    const [throttled] = await harness.send(textEvent('院長，金句'));
+    assert.equal(throttled.text, '院長今天講太多話了，先喝口水休息一下，等一下再來找我啦！');
+    assert.equal(await harness.send(textEvent('院長，金句')), null);
+});
+
+test('the group reply limit silences the bot in that group', async (t) => {
+    const harness = await start(t, { env: { ADMIN_USER_IDS: 'Uadmin' } });
+    await harness.send(textEvent('院長，設定 頻率 1', { source: groupSource('C0001', 'Uadmin') }));
+    assert.ok(await harness.send(textEvent('院長，金句', { source: groupSource() })));
+    assert.equal(await harness.send(textEvent('院長，金句', { source: groupSource() })), null);
+});
+
+test('commands that do not reply leave the group reply limit alone', async (t) => {
+    const harness = await start(t, { env: { ADMIN_USER_IDS: 'Uadmin' } });
+    const admin = groupSource('C0001', 'Uadmin');
+    await harness.send(textEvent('院長，設定 頻率 1', { source: admin }));
+    await harness.send(textEvent('院長，設定 閒聊 關', { source: admin }));
+    assert.equal(await harness.send(mentionEvent('你在嗎')), null, 'free chat is off');
+    assert.ok(await harness.send(textEvent('院長，金句', { source: groupSource() })));
+    assert.equal(await harness.send(textEvent('院長，金句', { source: groupSource() })), null);
+});
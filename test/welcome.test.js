@@ -0,0 +1,105 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { start, tempDir, baseEvent, textEvent, userSource, groupSource } = require('./helpers');
+
+// Follow, join and memberJoined greetings, and the active chat bookkeeping.
+
+// Write a welcome.json for one test and return its path
+function writeWelcomeFile(t, welcome) {
+    const filePath = path.join(tempDir(t), 'welcome.json');
+    fs.writeFileSync(filePath, JSON.stringify(welcome));
+    return filePath;
+}
+
+function memberJoinedEvent(userIds, source = groupSource()) {
+    return { ...baseEvent('memberJoined', source), joined: { members: userIds.map(userId => ({ type: 'user', userId })) } };
+}
+
+test('follow greets the new friend by name with the command list', async (t) => {
+    const harness = await start(t, { profiles: { Unew: { displayName: '小明' } } });
+    const messages = await harness.send(baseEvent('follow', userSource('Unew')));
+    assert.equal(messages[0].text, '小明你好！感謝你加院長好友！院長在這裡，陪你一起拼經濟、發大財！');
+    assert.match(messages[1].text, /^院長會的指令：/);
+    assert.ok(!messages[1].text.includes('welcome'), 'welcome commands are not listed');
+});
+
+test('follow still greets when the profile is unavailable', async (t) => {
+    const harness = await start(t);
+    const [greeting] = await harness.send(baseEvent('follow', userSource('Unew')));
+    assert.equal(greeting.text, '你好！感謝你加院長好友！院長在這裡，陪你一起拼經濟、發大財！');
+});
+
+test('join introduces the bot to the group', async (t) => {
+    const harness = await start(t);
+    const messages = await harness.send(baseEvent('join', groupSource('Cnew')));
+    assert.equal(messages[0].text, '大家好，院長來了！貨出得去，人進得來，這個群組發大財！');
+    assert.match(messages[1].text, /^院長會的指令：/);
+});
+
+test('memberJoined mentions every new member', async (t) => {
+    const harness = await start(t);
+    const [message] = await harness.send(memberJoinedEvent(['Ua', 'Ub']));
+    assert.equal(message.type, 'textV2');
+    assert.match(message.text, /^\{user0\} \{user1\} 歡迎加入！/);
+    assert.deepEqual(message.substitution, {
+        user0: { type: 'mention', mentionee: { type: 'user', userId: 'Ua' } },
+        user1: { type: 'mention', mentionee: { type: 'user', userId: 'Ub' } },
+    });
+});
+
+test('memberJoined counts against the group reply limit', async (t) => {
+    const harness = await start(t, { env: { ADMIN_USER_IDS: 'Uadmin' } });
+    await harness.send(textEvent('院長，設定 頻率 1', { source: groupSource('C0001', 'Uadmin') }));
+    assert.ok(await harness.send(memberJoinedEvent(['Ua'])));
+    assert.equal(await harness.send(memberJoinedEvent(['Ub'])), null);
+});
+
+test('uses Gemini greetings when enabled, falling back to the template', async (t) => {
+    const welcomeFile = writeWelcomeFile(t, {
+        join: { text: '院長來了', generate: true, includeHelp: false },
+        memberJoined: { text: '{{members}} 歡迎', generate: true },
+    });
+    const harness = await start(t, {
+        env: { WELCOME_FILE: welcomeFile },
+        llmScript: ['各位鄉親，院長來跟大家一起發大財！', '新朋友{好}，一起拼經濟！', '請看 https://example.com'],
+    });
+
+    assert.deepEqual(await harness.send(baseEvent('join', groupSource('C1'))), [
+        { type: 'text', text: '各位鄉親，院長來跟大家一起發大財！' },
+    ]);
+    assert.match(harness.llm.calls[0].prompt, /你剛剛被邀請進一個 LINE 群組/);
+
+    const [members] = await harness.send(memberJoinedEvent(['Ua'], groupSource('C1')));
+    assert.equal(members.text, '{user0} 新朋友好，一起拼經濟！');
+
+    assert.deepEqual(await harness.send(baseEvent('join', groupSource('C2'))), [{ type: 'text', text: '院長來了' }]);
+});
+
+test('a disabled occasion stays silent', async (t) => {
+    const welcomeFile = writeWelcomeFile(t, { follow: { enabled: false } });
+    const harness = await start(t, { env: { WELCOME_FILE: welcomeFile } });
+    assert.equal(await harness.send(baseEvent('follow', userSource())), null);
+});
+
+test('keeps track of the chats the bot is in', async (t) => {
+    const harness = await start(t);
+    await harness.send(baseEvent('follow', userSource('U1')));
+    await harness.send(baseEvent('join', groupSource('C1')));
+    await harness.send(textEvent('院長，金句', { source: groupSource('C2') }));
+    const unfollow = baseEvent('unfollow', userSource('U1'));
+    delete unfollow.replyToken;
+    await harness.send(unfollow);
+
+    const chats = harness.bot.activeChats.list();
+    assert.deepEqual(chats.map(chat => [chat.chatKey, chat.type, chat.active]), [
+        ['U1', 'user', false],
+        ['C1', 'group', true],
+        ['C2', 'group', true],
+    ]);
+    assert.ok(chats[0].leftAt);
+    assert.deepEqual(harness.bot.activeChats.list({ active: true }).map(chat => chat.chatKey), ['C1', 'C2']);
+});